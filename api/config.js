@@ -1,9 +1,10 @@
 // Vercel Serverless Function
-// Exposes the BACKEND_URL environment variable to the frontend at runtime.
+// Exposes the BACKEND_URL and MIN_PASSWORD_SCORE environment variables to
+// the frontend at runtime.
 // This replaces the need for proxy rewrites in vercel.json.
 //
 // Endpoint: GET /api/config
-// Response: { "BACKEND_URL": "https://your-backend.example.com" }
+// Response: { "BACKEND_URL": "https://your-backend.example.com", "MIN_PASSWORD_SCORE": "2" }
 
 export default function handler(req, res) {
   // Only allow GET requests
@@ -18,8 +19,10 @@ export default function handler(req, res) {
   res.setHeader("Content-Type", "application/json");
 
   const backendUrl = process.env.BACKEND_URL || "";
+  const minPasswordScore = process.env.MIN_PASSWORD_SCORE || "";
 
   return res.status(200).json({
     BACKEND_URL: backendUrl.replace(/\/+$/, ""), // strip trailing slashes
+    MIN_PASSWORD_SCORE: minPasswordScore, // 0-4, empty = js/password.js default
   });
 }
@@ -10,6 +10,7 @@
 // ---------------------------------------------------------------------------
 
 let API_BASE = "";
+let APP_CONFIG = {}; // everything else in the config, e.g. MIN_PASSWORD_SCORE
 
 /**
  * Try to load config from the Vercel serverless endpoint /api/config.
@@ -75,10 +76,15 @@ async function initAPI() {
   // 1. Try the Vercel serverless endpoint first
   let config = await loadConfigFromAPI();
 
-  // 2. Fall back to the .env file (local dev)
+  // 2. Fall back to the .env file (local dev). An empty BACKEND_URL is
+  //    also a same-origin deploy, so the .env only fills in what the
+  //    endpoint left unset (MIN_PASSWORD_SCORE must survive).
   if (!config || !config.BACKEND_URL) {
     console.log("[api] /api/config not available, falling back to .env");
-    config = await loadEnvFile();
+    const configured = Object.entries(config || {}).filter(
+      ([, value]) => value !== "" && value != null,
+    );
+    config = { ...(await loadEnvFile()), ...Object.fromEntries(configured) };
   }
 
   // Apply the backend URL (no trailing slash)
@@ -86,11 +92,108 @@ async function initAPI() {
     API_BASE = config.BACKEND_URL.replace(/\/+$/, "");
   }
 
-  // Update the exported reference
+  APP_CONFIG = config || {};
+
+  // Update the exported references
   window.GigaAPI.API_BASE = API_BASE;
+  window.GigaAPI.config = APP_CONFIG;
   console.log("[api] API_BASE =", API_BASE || "(same origin)");
 }
 
+/**
+ * Register the service worker that precaches the app shell (sw.js), so
+ * the pages load without a network connection. No-op where unsupported.
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("sw.js").catch((err) => {
+    console.warn("[api] Service worker registration failed:", err.message);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Session expiry – a 401 in the middle of a session fires
+// SESSION_EXPIRED_EVENT (once, however many requests failed) and every
+// failed request waits. When the page re-authenticates it calls
+// settleSessionRenewal(true) and they are all retried; with false they
+// throw their original 401. Only pages that call enableSessionRecovery()
+// get this – elsewhere a 401 is thrown straight away.
+//
+// The backend says why a session stopped working in the 401 body:
+//   { error: "...", code: "session_expired" }  timed out – log in again
+//   { error: "...", code: "session_revoked" }  signed out from another
+//                                              device (Auth.revokeSession,
+//                                              Auth.logoutAll, a password
+//                                              change) – don't offer a
+//                                              re-login on this device
+// The error thrown by request() carries the body as `err.data`.
+// ---------------------------------------------------------------------------
+
+const SESSION_EXPIRED_EVENT = "gigachat:session-expired";
+const SESSION_REVOKED_CODE = "session_revoked";
+
+// A 401 from these means wrong credentials (or a wrong 2FA code), not an
+// expired session
+const NO_RENEWAL_PATHS = [
+  "/login",
+  "/login/2fa",
+  "/2fa/enable",
+  "/2fa/disable",
+  "/register",
+  "/logout",
+  "/logout/all",
+  "/password",
+  "/account/delete",
+];
+
+let sessionRecovery = false;
+let pendingRenewal = null; // { promise, settle } while waiting for a re-login
+
+/**
+ * Let failed requests wait for the page to re-authenticate instead of
+ * failing. The page must listen for SESSION_EXPIRED_EVENT (the 401 error
+ * is in `event.detail.error`) and call settleSessionRenewal.
+ */
+function enableSessionRecovery() {
+  sessionRecovery = true;
+}
+
+function waitForSessionRenewal(error) {
+  if (!pendingRenewal) {
+    let settle;
+    const promise = new Promise((resolve) => {
+      settle = resolve;
+    });
+    pendingRenewal = { promise, settle };
+    window.dispatchEvent(
+      new CustomEvent(SESSION_EXPIRED_EVENT, { detail: { error } }),
+    );
+  }
+  return pendingRenewal.promise;
+}
+
+// Whether a failed request should wait for a re-login and then be retried
+function shouldAwaitRenewal(err, path, retried) {
+  return (
+    err.status === 401 &&
+    sessionRecovery &&
+    !retried &&
+    !NO_RENEWAL_PATHS.includes(path)
+  );
+}
+
+/**
+ * Resume the requests held back by an expired session.
+ * @param {boolean} renewed - true once logged in again: they are retried;
+ *   false (gave up / logged out): they throw their 401
+ */
+function settleSessionRenewal(renewed) {
+  if (!pendingRenewal) return;
+  const { settle } = pendingRenewal;
+  pendingRenewal = null;
+  settle(renewed);
+}
+
 // ---------------------------------------------------------------------------
 // Core request helper
 // ---------------------------------------------------------------------------
@@ -98,12 +201,13 @@ async function initAPI() {
 /**
  * Wrapper around fetch that:
  *  - Prepends the API base URL
- *  - Sets JSON content-type for POST/PUT
+ *  - Sets JSON content-type for POST/PUT (FormData bodies are sent as-is)
  *  - Includes credentials (cookies) on every request
  *  - Parses the JSON response
+ *  - Waits for a re-login and retries once when the session expired
  *  - Throws a descriptive error on non-2xx responses
  */
-async function request(method, path, body = null) {
+async function request(method, path, body = null, { retried = false } = {}) {
   const url = `${API_BASE}${path}`;
 
   // When API_BASE is set (cross-origin), we need "include" so the
@@ -115,7 +219,10 @@ async function request(method, path, body = null) {
     credentials: "include",
   };
 
-  if (body !== null && (method === "POST" || method === "PUT")) {
+  if (body instanceof FormData) {
+    // The browser sets the multipart boundary itself
+    opts.body = body;
+  } else if (body !== null && (method === "POST" || method === "PUT")) {
     opts.headers["Content-Type"] = "application/json";
     opts.body = JSON.stringify(body);
   }
@@ -144,6 +251,12 @@ async function request(method, path, body = null) {
     const err = new Error(message);
     err.status = res.status;
     err.data = data;
+    if (
+      shouldAwaitRenewal(err, path, retried) &&
+      (await waitForSessionRenewal(err))
+    ) {
+      return request(method, path, body, { retried: true });
+    }
     throw err;
   }
 
@@ -168,13 +281,26 @@ const Auth = {
 
   /**
    * Log in with username and password.
-   * The server sets an HttpOnly session cookie automatically.
-   * @returns {Promise<{user_id: string, username: string}>}
+   * The server sets an HttpOnly session cookie automatically – unless the
+   * account uses two-factor authentication: then no session is created
+   * yet, and the response asks for a code (see loginTwoFactor).
+   * @returns {Promise<{user_id: string, username: string} | {two_factor_required: true, challenge_id: string}>}
    */
   login(username, password) {
     return request("POST", "/login", { username, password });
   },
 
+  /**
+   * Second login step for accounts with two-factor authentication.
+   * Sets the session cookie like a normal login.
+   * @param {string} challengeId - from the `login` response
+   * @param {string} code - 6-digit authenticator code, or a recovery code
+   * @returns {Promise<{user_id: string, username: string}>}
+   */
+  loginTwoFactor(challengeId, code) {
+    return request("POST", "/login/2fa", { challenge_id: challengeId, code });
+  },
+
   /**
    * Log out (clears the session cookie on the server).
    */
@@ -189,6 +315,97 @@ const Auth = {
   me() {
     return request("GET", "/me");
   },
+
+  /**
+   * List every signed-in session (device) of the current user.
+   * `ip` is already partially masked by the server; `current` marks the
+   * session making this request.
+   * @returns {Promise<{sessions: Array<{id: string, user_agent: string, ip: string, created_at: string, last_seen_at: string, current: boolean}>}>}
+   */
+  sessions() {
+    return request("GET", "/sessions");
+  },
+
+  /**
+   * Sign out a single session, e.g. a lost device. Its next request gets
+   * a 401 with `code: SESSION_REVOKED_CODE` (see "Session expiry").
+   * @param {string} sessionId
+   */
+  revokeSession(sessionId) {
+    return request("DELETE", `/sessions/${sessionId}`);
+  },
+
+  /**
+   * Sign out every session of the current user, including this one.
+   * The other devices get a 401 with `code: SESSION_REVOKED_CODE`.
+   */
+  logoutAll() {
+    return request("POST", "/logout/all");
+  },
+
+  /**
+   * Change the password. This session stays signed in; every other
+   * session of the user is signed out.
+   * Fails with 401 if `currentPassword` is wrong.
+   * @param {string} currentPassword
+   * @param {string} newPassword
+   */
+  changePassword(currentPassword, newPassword) {
+    return request("POST", "/password", {
+      current_password: currentPassword,
+      new_password: newPassword,
+    });
+  },
+
+  /**
+   * Permanently delete the account with its profile, friendships and
+   * messages, and end all its sessions.
+   * Fails with 401 if `password` is wrong.
+   * @param {string} password
+   */
+  deleteAccount(password) {
+    return request("POST", "/account/delete", { password });
+  },
+};
+
+// ── Two-factor authentication (TOTP) ───────────────────────────────────
+
+const TwoFactor = {
+  /**
+   * Whether 2FA is on for the current user.
+   * @returns {Promise<{enabled: boolean, recovery_codes_remaining?: number}>}
+   */
+  status() {
+    return request("GET", "/2fa");
+  },
+
+  /**
+   * Start enrolling: generates a new secret that only takes effect once
+   * confirmed with `enable`. `qr_code` is a data: URL of an image that
+   * encodes `otpauth_url`.
+   * @returns {Promise<{secret: string, otpauth_url: string, qr_code: string}>}
+   */
+  setup() {
+    return request("POST", "/2fa/setup");
+  },
+
+  /**
+   * Finish enrolling with a code from the authenticator app.
+   * The recovery codes are only ever returned here.
+   * @param {string} code
+   * @returns {Promise<{recovery_codes: string[]}>}
+   */
+  enable(code) {
+    return request("POST", "/2fa/enable", { code });
+  },
+
+  /**
+   * Turn 2FA off (needs a current code or a recovery code).
+   * @param {string} code
+   */
+  disable(code) {
+    return request("POST", "/2fa/disable", { code });
+  },
 };
 
 // ── Profile ────────────────────────────────────────────────────────────
@@ -221,6 +438,37 @@ const Profile = {
   updateProfile(userId, fields) {
     return request("PUT", `/profile/${userId}`, fields);
   },
+
+  /**
+   * Upload a new avatar image. The server stores it and points
+   * `avatar_url` at it.
+   * @param {string} userId
+   * @param {Blob} image - already cropped to a square
+   * @returns {Promise<Object>} The updated profile
+   */
+  uploadAvatar(userId, image) {
+    const form = new FormData();
+    form.append("avatar", image, "avatar.jpg");
+    return request("POST", `/profile/${userId}/avatar`, form);
+  },
+
+  /**
+   * Remove the avatar; everyone sees initials again.
+   * @param {string} userId
+   * @returns {Promise<Object>} The updated profile
+   */
+  removeAvatar(userId) {
+    return request("DELETE", `/profile/${userId}/avatar`);
+  },
+
+  /**
+   * Search users by username or display name.
+   * @param {string} query
+   * @returns {Promise<{results: Array}>} Matching public profiles
+   */
+  search(query) {
+    return request("GET", `/users/search?q=${encodeURIComponent(query)}`);
+  },
 };
 
 // ── Friends ────────────────────────────────────────────────────────────
@@ -250,6 +498,85 @@ const Friends = {
   pending() {
     return request("GET", "/friends/pending");
   },
+
+  /**
+   * Decline an incoming friend request, or cancel one we sent.
+   * @param {string} friendId - UUID of the other user
+   */
+  decline(friendId) {
+    return request("DELETE", `/friends/pending/${friendId}`);
+  },
+
+  /**
+   * Unfriend someone. Any conversation with them is kept.
+   * @param {string} friendId - UUID of the other user
+   */
+  remove(friendId) {
+    return request("DELETE", `/friends/${friendId}`);
+  },
+
+  /**
+   * Block a user. Also ends the friendship and any pending request, and
+   * stops them from sending new friend requests.
+   * @param {string} userId
+   */
+  block(userId) {
+    return request("POST", "/friends/blocked", { user_id: userId });
+  },
+
+  /**
+   * Unblock a user (they are not re-added as a friend).
+   * @param {string} userId
+   */
+  unblock(userId) {
+    return request("DELETE", `/friends/blocked/${userId}`);
+  },
+
+  /**
+   * Users we have blocked (with their profile info).
+   * @returns {Promise<{blocked: Array}>}
+   */
+  blocked() {
+    return request("GET", "/friends/blocked");
+  },
+
+  /**
+   * Mute a user: no notifications or unread badge for their direct
+   * messages, on all of our devices. They are not told.
+   * @param {string} userId
+   */
+  mute(userId) {
+    return request("POST", "/friends/muted", { user_id: userId });
+  },
+
+  /**
+   * Unmute a user.
+   * @param {string} userId
+   */
+  unmute(userId) {
+    return request("DELETE", `/friends/muted/${userId}`);
+  },
+
+  /**
+   * IDs of the users we have muted.
+   * @returns {Promise<{muted: string[]}>}
+   */
+  muted() {
+    return request("GET", "/friends/muted");
+  },
+
+  /**
+   * Report a user to the moderators.
+   * @param {string} userId
+   * @param {string} reason - "spam", "harassment", "impersonation",
+   *   "inappropriate" or "other"
+   * @param {string} [details] - free-text explanation
+   */
+  report(userId, reason, details) {
+    const body = { user_id: userId, reason };
+    if (details) body.details = details;
+    return request("POST", "/reports", body);
+  },
 };
 
 // ── Conversations ──────────────────────────────────────────────────────
@@ -273,116 +600,685 @@ const Conversations = {
   },
 
   /**
-   * Get the message history for a conversation.
+   * Get a page of the message history for a conversation.
+   * Without a cursor this is the most recent page; pass the id of the
+   * oldest message you have as `before` to page further back.
    * Messages are returned in chronological order.
    * @param {string} conversationId
-   * @returns {Promise<{messages: Array}>}
+   * @param {{before?: string, limit?: number}} [page]
+   * @returns {Promise<{messages: Array, has_more?: boolean}>}
+   */
+  messages(conversationId, { before, limit } = {}) {
+    const params = new URLSearchParams();
+    if (before) params.set("before", before);
+    if (limit) params.set("limit", String(limit));
+    const query = params.toString();
+    return request(
+      "GET",
+      `/conversations/${conversationId}/messages${query ? `?${query}` : ""}`,
+    );
+  },
+
+  /**
+   * Edit one of your own messages. Everyone in the conversation gets a
+   * `message_edited` event over the socket.
+   * @param {string} conversationId
+   * @param {string} messageId
+   * @param {string} content
+   * @returns {Promise<Object>} The updated message (with `edited_at`)
+   */
+  editMessage(conversationId, messageId, content) {
+    return request(
+      "PUT",
+      `/conversations/${conversationId}/messages/${messageId}`,
+      { content },
+    );
+  },
+
+  /**
+   * Delete one of your own messages. It stays in the history as a
+   * tombstone, and everyone gets a `message_deleted` event.
+   * @param {string} conversationId
+   * @param {string} messageId
+   */
+  deleteMessage(conversationId, messageId) {
+    return request(
+      "DELETE",
+      `/conversations/${conversationId}/messages/${messageId}`,
+    );
+  },
+
+  /**
+   * Full-text search over message content in every conversation the
+   * current user is part of. Newest matches first.
+   * @param {string} query
+   * @param {{limit?: number}} [options]
+   * @returns {Promise<{messages: Array}>} Messages with `conversation_id`
+   */
+  search(query, { limit } = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (limit) params.set("limit", String(limit));
+    return request("GET", `/messages/search?${params}`);
+  },
+
+  /**
+   * Get a conversation's details (kind, name and members).
+   * @param {string} conversationId
+   * @returns {Promise<{id: string, is_group: boolean, name: ?string, members: Array}>}
+   */
+  get(conversationId) {
+    return request("GET", `/conversations/${conversationId}`);
+  },
+
+  /**
+   * Create a group conversation with several friends.
+   * The current user is added automatically.
+   * @param {string} name
+   * @param {string[]} memberIds - UUIDs of the friends to add
+   * @returns {Promise<{conversation_id: string}>}
+   */
+  createGroup(name, memberIds) {
+    return request("POST", "/conversations/group", {
+      name,
+      member_ids: memberIds,
+    });
+  },
+
+  /**
+   * Rename a group conversation.
+   * @param {string} conversationId
+   * @param {string} name
+   * @returns {Promise<Object>} The updated conversation
+   */
+  rename(conversationId, name) {
+    return request("PUT", `/conversations/${conversationId}`, { name });
+  },
+
+  /**
+   * Add a member to a group conversation.
+   * @param {string} conversationId
+   * @param {string} userId
+   */
+  addMember(conversationId, userId) {
+    return request("POST", `/conversations/${conversationId}/members`, {
+      user_id: userId,
+    });
+  },
+
+  /**
+   * Remove a member from a group conversation (pass your own id to leave).
+   * @param {string} conversationId
+   * @param {string} userId
+   */
+  removeMember(conversationId, userId) {
+    return request(
+      "DELETE",
+      `/conversations/${conversationId}/members/${userId}`,
+    );
+  },
+};
+
+// ── Attachments ────────────────────────────────────────────────────────
+
+// One multipart upload with XHR, rejecting like request() does
+function sendUpload(path, file, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `${API_BASE}${path}`);
+    xhr.withCredentials = true; // send cookies cross-origin, like request()
+    xhr.responseType = "json";
+
+    xhr.upload.addEventListener("progress", (event) => {
+      if (event.lengthComputable && onProgress) {
+        onProgress(event.loaded / event.total);
+      }
+    });
+
+    xhr.addEventListener("load", () => {
+      const data = xhr.response;
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+        return;
+      }
+      const err = new Error(
+        (data && data.error) || `Upload failed with status ${xhr.status}`,
+      );
+      err.status = xhr.status;
+      err.data = data;
+      reject(err);
+    });
+
+    xhr.addEventListener("error", () => {
+      reject(new Error("Network error – is the backend running?"));
+    });
+
+    const cancelled = () => {
+      const err = new Error("Upload cancelled");
+      err.name = "AbortError";
+      reject(err);
+    };
+    xhr.addEventListener("abort", cancelled);
+
+    if (signal) {
+      // E.g. cancelled while waiting for a re-login; an unsent XHR
+      // wouldn't fire "abort"
+      if (signal.aborted) {
+        cancelled();
+        return;
+      }
+      signal.addEventListener("abort", () => xhr.abort(), { once: true });
+    }
+
+    const form = new FormData();
+    form.append("file", file, file.name);
+    xhr.send(form);
+  });
+}
+
+const Attachments = {
+  /**
+   * Upload a file to a conversation. Send the returned id with a message
+   * (`attachment_ids`) to attach it.
+   * Uses XHR rather than fetch, since fetch can't report upload progress.
+   * A 401 waits for the session to be renewed and restarts the upload,
+   * like request() does.
+   * @param {string} conversationId
+   * @param {File} file
+   * @param {{onProgress?: Function, signal?: AbortSignal}} [options]
+   *   onProgress(fraction) is called with 0..1 as the upload goes
+   * @returns {Promise<{id: string, url: string, name: string, size: number, content_type: string}>}
+   */
+  async upload(conversationId, file, options = {}) {
+    const path = `/conversations/${conversationId}/attachments`;
+    try {
+      return await sendUpload(path, file, options);
+    } catch (err) {
+      // Held back and retried after a re-login, like request()
+      if (
+        shouldAwaitRenewal(err, path, false) &&
+        (await waitForSessionRenewal(err))
+      ) {
+        return sendUpload(path, file, options);
+      }
+      throw err;
+    }
+  },
+
+  /**
+   * Turn an attachment URL from the server into an absolute one.
+   * Relative URLs point at the backend.
+   * @returns {?string} null unless it's an http(s) URL
    */
-  messages(conversationId) {
-    return request("GET", `/conversations/${conversationId}/messages`);
+  resolveUrl(url) {
+    if (!url) return null;
+    try {
+      const resolved = new URL(url, API_BASE || window.location.origin);
+      return resolved.protocol === "http:" || resolved.protocol === "https:"
+        ? resolved.href
+        : null;
+    } catch {
+      return null;
+    }
   },
 };
 
 // ── WebSocket ──────────────────────────────────────────────────────────
 
+// Reconnect backoff: 1s, 2s, 4s, ... capped at 30s, with random jitter so
+// that every client doesn't hammer the backend at the same moment after
+// a server restart.
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Filling the gap after a reconnect pages back through the history in
+// pages of this size until it reaches the last message seen
+const BACKFILL_PAGE_SIZE = 100;
+
+// Close code the server uses for auth / policy failures – reconnecting
+// would just be rejected again, so we give up instead.
+const WS_CLOSE_POLICY_VIOLATION = 1008;
+
 /**
- * Open a WebSocket connection to a conversation.
+ * Delay before the given (1-based) reconnect attempt, in milliseconds.
+ * Uses "equal jitter": half the exponential delay is fixed, the other
+ * half is random.
+ */
+function getReconnectDelay(attempt) {
+  const exp = Math.min(
+    RECONNECT_MAX_DELAY,
+    RECONNECT_BASE_DELAY * 2 ** (attempt - 1),
+  );
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+/**
+ * Build the ws:// or wss:// URL for a backend path.
  *
  * When API_BASE is set (cross-origin deploy), the WebSocket connects
  * to the backend host from .env. Otherwise it uses the current page host.
+ */
+function buildSocketUrl(path) {
+  let wsProtocol;
+  let wsHost;
+
+  if (API_BASE) {
+    // Cross-origin: derive ws host from the backend URL in .env
+    const backendUrl = new URL(API_BASE);
+    wsProtocol = backendUrl.protocol === "https:" ? "wss:" : "ws:";
+    wsHost = backendUrl.host;
+  } else {
+    // Same-origin: connect to the current page's host
+    wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    wsHost = window.location.host;
+  }
+
+  return `${wsProtocol}//${wsHost}${path}`;
+}
+
+/**
+ * Open a WebSocket connection to a conversation.
+ *
+ * The connection reconnects on its own with exponential backoff when it
+ * drops. After a reconnect, the message history is paged back to the
+ * last message seen on the socket and everything newer is handed to
+ * `onBackfill` (in one call, oldest first) so the caller can merge the gap.
+ *
+ * Frames with a `type` other than "message" are events rather than chat
+ * messages and go to `onEvent`:
+ *   { type: "typing",   user_id, state: "start" | "stop" }
+ *   { type: "presence", user_id, status: "online" | "away" | "offline" }
+ *   { type: "delivered" | "read", user_id, message_id, at }
+ *   { type: "message_edited",  user_id, message_id, content, edited_at }
+ *   { type: "message_deleted", user_id, message_id, deleted_at }
  *
  * Usage:
  *   const ws = ChatSocket.connect(conversationId, {
- *     onMessage(data)    { ... },  // { sender_id, content, created_at }
- *     onOpen()           { ... },
- *     onClose()          { ... },
+ *     onMessage(data)    { ... },  // { id, sender_id, content, created_at, reply_to?, client_id? }
+ *     onBackfill(list)   { ... },  // messages missed while disconnected
+ *     onEvent(data)      { ... },  // typed event frames (see above)
+ *     onOpen(info)       { ... },  // { reconnected: boolean }, after backfill
+ *     onReconnecting(s)  { ... },  // { attempt, delay, retryAt }
+ *     onClose(event)     { ... },  // closed for good (server rejected us)
  *     onError(err)       { ... },
  *   });
  *
- *   ws.send("Hello!");   // send a chat message
- *   ws.close();          // disconnect
+ *   ws.send("Hello!");   // send a chat message (false if not open)
+ *   ws.send("Sure", { reply_to: messageId });  // …as a reply
+ *   ws.send("", { attachment_ids: [uploaded.id] });  // files only
+ *   ws.send("Hi", { client_id: id });  // echoed back on our own message
+ *   ws.sendEvent("typing", { state: "start" });
+ *   ws.reconnect();      // skip the backoff wait and retry right away
+ *   ws.close();          // disconnect (no reconnect)
  *
- * @returns {{ send: Function, close: Function, socket: WebSocket }}
+ * @returns {{ send: Function, sendEvent: Function, reconnect: Function, close: Function, socket: WebSocket }}
  */
 const ChatSocket = {
   connect(conversationId, callbacks = {}) {
-    let wsProtocol;
-    let wsHost;
-
-    if (API_BASE) {
-      // Cross-origin: derive ws host from the backend URL in .env
-      const backendUrl = new URL(API_BASE);
-      wsProtocol = backendUrl.protocol === "https:" ? "wss:" : "ws:";
-      wsHost = backendUrl.host;
-    } else {
-      // Same-origin: connect to the current page's host
-      wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-      wsHost = window.location.host;
-    }
+    const wsUrl = buildSocketUrl(`/ws/${conversationId}`);
 
-    const wsUrl = `${wsProtocol}//${wsHost}/ws/${conversationId}`;
-    const socket = new WebSocket(wsUrl);
+    let socket = null;
+    let attempt = 0; // consecutive failed attempts since the last open
+    let hasConnected = false;
+    let closedByClient = false;
+    let reconnectTimer = null;
+    let lastSeenAt = null; // created_at of the newest message received
+    let liveIds = new Set(); // ids received on the current socket
 
-    socket.addEventListener("open", () => {
-      console.log(`[WS] Connected to conversation ${conversationId}`);
-      if (callbacks.onOpen) callbacks.onOpen();
-    });
+    function open() {
+      socket = new WebSocket(wsUrl);
+      liveIds = new Set();
 
-    socket.addEventListener("message", (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        if (callbacks.onMessage) callbacks.onMessage(data);
-      } catch {
-        // If the server sends a non-JSON string, wrap it
-        if (callbacks.onMessage) {
-          callbacks.onMessage({
+      socket.addEventListener("open", async () => {
+        const reconnected = hasConnected || attempt > 0;
+        console.log(
+          `[WS] ${reconnected ? "Reconnected" : "Connected"} to conversation ${conversationId}`,
+        );
+        attempt = 0;
+        hasConnected = true;
+        // Merge the gap before reporting the connection as ready, so that
+        // anything the caller sends from onOpen lands after what we missed.
+        // The gap starts at what we had seen *now*: messages arriving on
+        // the new socket during the fetch move lastSeenAt past it.
+        if (reconnected) await backfill(lastSeenAt);
+        if (closedByClient) return;
+        if (callbacks.onOpen) callbacks.onOpen({ reconnected });
+      });
+
+      socket.addEventListener("message", (event) => {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch {
+          // If the server sends a non-JSON string, wrap it
+          data = {
             content: event.data,
             sender_id: null,
             created_at: null,
+          };
+        }
+        // Typed frames (typing, presence, …) are events, not chat messages
+        if (data && data.type && data.type !== "message") {
+          if (callbacks.onEvent) callbacks.onEvent(data);
+          return;
+        }
+        trackSeen(data);
+        if (data && data.id) liveIds.add(data.id);
+        if (callbacks.onMessage) callbacks.onMessage(data);
+      });
+
+      socket.addEventListener("close", (event) => {
+        if (closedByClient) return;
+
+        if (event.code === WS_CLOSE_POLICY_VIOLATION) {
+          console.log(`[WS] Closed by server (code=${event.code})`);
+          stop();
+          if (callbacks.onClose) callbacks.onClose(event);
+          return;
+        }
+
+        console.log(`[WS] Disconnected (code=${event.code})`);
+        scheduleReconnect();
+      });
+
+      socket.addEventListener("error", (event) => {
+        console.error("[WS] Error:", event);
+        if (callbacks.onError) callbacks.onError(event);
+      });
+    }
+
+    function scheduleReconnect() {
+      clearTimeout(reconnectTimer);
+      attempt++;
+      const delay = getReconnectDelay(attempt);
+      const retryAt = Date.now() + delay;
+      console.log(`[WS] Reconnecting in ${delay}ms (attempt ${attempt})`);
+      if (callbacks.onReconnecting) {
+        callbacks.onReconnecting({ attempt, delay, retryAt });
+      }
+      reconnectTimer = setTimeout(open, delay);
+    }
+
+    function trackSeen(data) {
+      if (!data || !data.created_at) return;
+      if (!lastSeenAt || new Date(data.created_at) > new Date(lastSeenAt)) {
+        lastSeenAt = data.created_at;
+      }
+    }
+
+    // Fetch the history and hand over everything newer than `since`
+    async function backfill(since) {
+      try {
+        const pages = [];
+        let before;
+        for (;;) {
+          const data = await Conversations.messages(conversationId, {
+            before,
+            limit: BACKFILL_PAGE_SIZE,
           });
+          if (closedByClient) return;
+          const page = data.messages || [];
+          pages.unshift(page);
+
+          // Without a last-seen message the newest page is all we need
+          const hasMore = data.has_more ?? page.length >= BACKFILL_PAGE_SIZE;
+          if (!since || !hasMore || page.length === 0) break;
+          if (new Date(page[0].created_at) <= new Date(since)) break;
+          before = page[0].id;
         }
+
+        // Skip what already came in live while the history was loading
+        const missed = pages.flat().filter(
+          (m) =>
+            !liveIds.has(m.id) &&
+            (!since ||
+              !m.created_at ||
+              new Date(m.created_at) > new Date(since)),
+        );
+        missed.forEach(trackSeen);
+        if (missed.length === 0) return;
+
+        if (callbacks.onBackfill) {
+          callbacks.onBackfill(missed);
+        } else if (callbacks.onMessage) {
+          missed.forEach((m) => callbacks.onMessage(m));
+        }
+      } catch (err) {
+        console.warn("[WS] Backfill failed:", err.message);
       }
-    });
+    }
 
-    socket.addEventListener("close", (event) => {
-      console.log(`[WS] Disconnected (code=${event.code})`);
-      if (callbacks.onClose) callbacks.onClose(event);
-    });
+    // The browser knows when the network is back – don't wait out the backoff
+    function handleOnline() {
+      if (reconnectTimer) retryNow();
+    }
 
-    socket.addEventListener("error", (event) => {
-      console.error("[WS] Error:", event);
-      if (callbacks.onError) callbacks.onError(event);
-    });
+    function retryNow() {
+      if (closedByClient) return;
+      if (socket && socket.readyState <= WebSocket.OPEN) return;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      open();
+    }
+
+    function stop() {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      window.removeEventListener("online", handleOnline);
+    }
+
+    window.addEventListener("online", handleOnline);
+    open();
 
     return {
-      /** Send a chat message */
-      send(content) {
-        if (socket.readyState === WebSocket.OPEN) {
-          socket.send(JSON.stringify({ content }));
-        } else {
-          console.warn("[WS] Cannot send – socket is not open");
+      /**
+       * Send a chat message.
+       * @param {string} content
+       * @param {Object} [extra] - more message fields, e.g. { reply_to }
+       * @returns {boolean} false if the socket is not open (nothing was sent)
+       */
+      send(content, extra = {}) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ ...extra, content }));
+          return true;
         }
+        console.warn("[WS] Cannot send – socket is not open");
+        return false;
       },
 
-      /** Close the connection */
+      /**
+       * Send a typed event frame, e.g. ("typing", { state: "start" }).
+       * Events are fire-and-forget: nothing is queued while disconnected.
+       * @returns {boolean} false if the socket is not open
+       */
+      sendEvent(type, payload = {}) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ ...payload, type }));
+          return true;
+        }
+        return false;
+      },
+
+      /** Retry immediately instead of waiting for the next backoff tick */
+      reconnect() {
+        retryNow();
+      },
+
+      /** Close the connection (stops reconnecting) */
       close() {
-        socket.close();
+        closedByClient = true;
+        stop();
+        if (socket) socket.close();
       },
 
       /** The raw WebSocket instance (for advanced use) */
-      socket,
+      get socket() {
+        return socket;
+      },
     };
   },
 };
 
+// ── Realtime connection manager ────────────────────────────────────────
+
+// conversationId -> { conn, listeners: Set, status, state }
+const realtimeConnections = new Map();
+
+/**
+ * User-level realtime manager that multiplexes many conversations.
+ *
+ * The backend exposes one WebSocket per conversation (/ws/{id}), so this
+ * keeps a pool of ChatSocket connections – one per subscribed
+ * conversation – and fans their events out to per-conversation
+ * listeners. A socket stays open as long as it has at least one
+ * listener, so messages for chats that aren't on screen keep arriving.
+ *
+ * Usage:
+ *   const unsubscribe = Realtime.subscribe(conversationId, {
+ *     onMessage(data)         { ... },
+ *     onBackfill(list)        { ... },  // falls back to onMessage per item
+ *     onEvent(data)           { ... },  // typing, presence, …
+ *     onStatus(status, state) { ... },  // "connecting" | "connected" |
+ *                                       // "reconnecting" | "disconnected"
+ *   });
+ *
+ *   Realtime.send(conversationId, "Hello!");  // false if not connected
+ *   Realtime.sendEvent(conversationId, "typing", { state: "stop" });
+ *   Realtime.broadcastEvent("presence", { status: "away" });
+ *   Realtime.getStatus(conversationId);       // { status, state }
+ *   unsubscribe();
+ */
+const Realtime = {
+  /**
+   * Listen to a conversation, opening its socket if needed.
+   * @returns {Function} unsubscribe
+   */
+  subscribe(conversationId, listener) {
+    let entry = realtimeConnections.get(conversationId);
+
+    if (!entry) {
+      entry = {
+        conn: null,
+        listeners: new Set(),
+        status: "connecting",
+        state: {},
+      };
+      realtimeConnections.set(conversationId, entry);
+
+      const setStatus = (status, state = {}) => {
+        entry.status = status;
+        entry.state = state;
+        entry.listeners.forEach((l) => l.onStatus && l.onStatus(status, state));
+      };
+
+      entry.conn = ChatSocket.connect(conversationId, {
+        onOpen(info) {
+          setStatus("connected", info);
+        },
+        onMessage(data) {
+          entry.listeners.forEach((l) => l.onMessage && l.onMessage(data));
+        },
+        onEvent(data) {
+          entry.listeners.forEach((l) => l.onEvent && l.onEvent(data));
+        },
+        onBackfill(list) {
+          entry.listeners.forEach((l) => {
+            if (l.onBackfill) l.onBackfill(list);
+            else if (l.onMessage) list.forEach((m) => l.onMessage(m));
+          });
+        },
+        onReconnecting(state) {
+          setStatus("reconnecting", state);
+        },
+        onClose(event) {
+          setStatus("disconnected", { code: event.code });
+        },
+      });
+    }
+
+    entry.listeners.add(listener);
+    return () => Realtime.unsubscribe(conversationId, listener);
+  },
+
+  /**
+   * Remove a listener. The socket is closed once nobody is listening.
+   */
+  unsubscribe(conversationId, listener) {
+    const entry = realtimeConnections.get(conversationId);
+    if (!entry) return;
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      entry.conn.close();
+      realtimeConnections.delete(conversationId);
+    }
+  },
+
+  /**
+   * Send a chat message to a conversation.
+   * @param {string} conversationId
+   * @param {string} content
+   * @param {Object} [extra] - more message fields, e.g. { reply_to }
+   * @returns {boolean} false if that conversation's socket is not open
+   */
+  send(conversationId, content, extra) {
+    const entry = realtimeConnections.get(conversationId);
+    return entry ? entry.conn.send(content, extra) : false;
+  },
+
+  /**
+   * Send a typed event frame to a conversation.
+   * @returns {boolean} false if that conversation's socket is not open
+   */
+  sendEvent(conversationId, type, payload) {
+    const entry = realtimeConnections.get(conversationId);
+    return entry ? entry.conn.sendEvent(type, payload) : false;
+  },
+
+  /** Send a typed event frame on every open conversation socket */
+  broadcastEvent(type, payload) {
+    realtimeConnections.forEach((entry) => entry.conn.sendEvent(type, payload));
+  },
+
+  /** Skip the backoff wait for a conversation that is reconnecting */
+  reconnect(conversationId) {
+    const entry = realtimeConnections.get(conversationId);
+    if (entry) entry.conn.reconnect();
+  },
+
+  /**
+   * Current connection state of a conversation.
+   * @returns {{status: string, state: Object}}
+   */
+  getStatus(conversationId) {
+    const entry = realtimeConnections.get(conversationId);
+    return entry
+      ? { status: entry.status, state: entry.state }
+      : { status: "disconnected", state: {} };
+  },
+
+  /** Close every socket (e.g. on logout) */
+  closeAll() {
+    realtimeConnections.forEach((entry) => entry.conn.close());
+    realtimeConnections.clear();
+  },
+};
+
 // ── Export as a single namespace ────────────────────────────────────────
 
 window.GigaAPI = {
   Auth,
+  TwoFactor,
   Profile,
   Friends,
   Conversations,
+  Attachments,
   ChatSocket,
+  Realtime,
   initAPI,
+  registerServiceWorker,
+  enableSessionRecovery,
+  settleSessionRenewal,
+  SESSION_EXPIRED_EVENT,
+  SESSION_REVOKED_CODE,
   API_BASE,
+  config: APP_CONFIG,
 };
@@ -7,12 +7,29 @@
 
   // ── DOM references ──────────────────────────────────────────────────
 
+  const tabBar = document.querySelector(".auth-tabs");
   const tabBtns = document.querySelectorAll(".auth-tab");
   const loginForm = document.getElementById("login-form");
   const registerForm = document.getElementById("register-form");
   const loginMsg = document.getElementById("login-message");
   const registerMsg = document.getElementById("register-message");
 
+  // Two-factor step
+  const twoFactorForm = document.getElementById("twofactor-form");
+  const twoFactorMsg = document.getElementById("twofactor-message");
+  const twoFactorHint = document.getElementById("twofactor-hint");
+  const twoFactorLabel = document.getElementById("twofactor-label");
+  const twoFactorCode = document.getElementById("twofactor-code");
+  const twoFactorSubmit = document.getElementById("twofactor-submit");
+  const twoFactorRecoveryBtn = document.getElementById(
+    "twofactor-use-recovery"
+  );
+  const twoFactorBackBtn = document.getElementById("twofactor-back");
+
+  // Set while the password was accepted but a code is still needed
+  let twoFactorChallenge = null;
+  let useRecoveryCode = false;
+
   // Login fields
   const loginUsername = document.getElementById("login-username");
   const loginPassword = document.getElementById("login-password");
@@ -25,12 +42,6 @@
   const regConfirm = document.getElementById("reg-confirm");
   const regSubmit = document.getElementById("reg-submit");
 
-  // Password strength elements
-  const strengthBars = document.querySelectorAll(
-    ".password-strength .bar"
-  );
-  const strengthLabel = document.querySelector(".password-strength-label");
-
   // Password visibility toggles
   const passwordToggles = document.querySelectorAll(".password-toggle");
 
@@ -38,6 +49,22 @@
 
   checkExistingSession();
 
+  const pageParams = new URLSearchParams(window.location.search);
+
+  // Sent back here because the session was signed out from another device
+  if (pageParams.has("signed_out")) {
+    showMessage(
+      loginMsg,
+      "You were signed out. Please log in again.",
+      "error"
+    );
+  }
+
+  // ...or right after deleting the account in Settings
+  if (pageParams.has("account_deleted")) {
+    showMessage(loginMsg, "Your account has been deleted.", "success");
+  }
+
   async function checkExistingSession() {
     try {
       const data = await GigaAPI.Auth.me();
@@ -96,52 +123,24 @@
 
   // ── Password strength indicator ─────────────────────────────────────
 
-  if (regPassword) {
-    regPassword.addEventListener("input", () => {
-      updatePasswordStrength(regPassword.value);
-    });
-  }
-
-  function updatePasswordStrength(password) {
-    // Reset all bars
-    strengthBars.forEach((bar) => {
-      bar.className = "bar";
-    });
-
-    if (!strengthLabel) return;
-
-    if (password.length === 0) {
-      strengthLabel.textContent = "";
-      return;
-    }
-
-    let score = 0;
-    if (password.length >= 6) score++;
-    if (password.length >= 10) score++;
-    if (/[A-Z]/.test(password) && /[a-z]/.test(password)) score++;
-    if (/\d/.test(password)) score++;
-    if (/[^A-Za-z0-9]/.test(password)) score++;
-
-    // Map score (0-5) to strength level
-    let level, label;
-    if (score <= 1) {
-      level = "weak";
-      label = "Weak";
-    } else if (score <= 3) {
-      level = "medium";
-      label = "Fair";
-    } else {
-      level = "strong";
-      label = "Strong";
-    }
+  // The meter itself lives in js/password.js (Settings uses it too).
+  // The username and display name count against the password, so the
+  // meter follows those fields as well.
+  const strengthInputs = [regUsername, regDisplayName, regPassword];
+  strengthInputs.filter(Boolean).forEach((field) => {
+    field.addEventListener("input", refreshPasswordStrength);
+  });
 
-    // Fill bars based on level
-    const fillCount = level === "weak" ? 1 : level === "medium" ? 2 : 3;
-    for (let i = 0; i < fillCount && i < strengthBars.length; i++) {
-      strengthBars[i].classList.add(level);
-    }
+  function refreshPasswordStrength() {
+    GigaPassword.updatePasswordStrength(
+      regPassword.value,
+      regPassword.closest(".input-group"),
+      registerUserInputs()
+    );
+  }
 
-    strengthLabel.textContent = label;
+  function registerUserInputs() {
+    return [regUsername.value, regDisplayName ? regDisplayName.value : ""];
   }
 
   // ── Login form submission ───────────────────────────────────────────
@@ -172,21 +171,12 @@
       try {
         const data = await GigaAPI.Auth.login(username, password);
 
-        // Persist the user info in localStorage for the chat page
-        localStorage.setItem(
-          "gigachat_user",
-          JSON.stringify({
-            user_id: data.user_id,
-            username: data.username,
-          })
-        );
-
-        showMessage(loginMsg, "Login successful! Redirecting...", "success");
+        if (data.two_factor_required) {
+          showTwoFactorStep(data.challenge_id);
+          return;
+        }
 
-        // Short delay so the user sees the success message
-        setTimeout(() => {
-          window.location.href = "chat.html";
-        }, 500);
+        completeLogin(data, loginMsg);
       } catch (err) {
         const msg =
           err.status === 401
@@ -199,6 +189,129 @@
     });
   }
 
+  // Persist the user info in localStorage for the chat page and go there
+  function completeLogin(data, msgEl) {
+    localStorage.setItem(
+      "gigachat_user",
+      JSON.stringify({
+        user_id: data.user_id,
+        username: data.username,
+      })
+    );
+
+    showMessage(msgEl, "Login successful! Redirecting...", "success");
+
+    // Short delay so the user sees the success message
+    setTimeout(() => {
+      window.location.href = "chat.html";
+    }, 500);
+  }
+
+  // ── Two-factor step ─────────────────────────────────────────────────
+
+  function showTwoFactorStep(challengeId) {
+    twoFactorChallenge = challengeId;
+    setRecoveryMode(false);
+    hideMessage(loginMsg);
+    hideMessage(twoFactorMsg);
+
+    tabBar.hidden = true;
+    loginForm.classList.remove("active");
+    twoFactorForm.classList.add("active");
+    twoFactorCode.focus();
+  }
+
+  function leaveTwoFactorStep() {
+    twoFactorChallenge = null;
+    loginPassword.value = "";
+
+    tabBar.hidden = false;
+    twoFactorForm.classList.remove("active");
+    loginForm.classList.add("active");
+    loginPassword.focus();
+  }
+
+  // Recovery codes are longer and not just digits
+  function setRecoveryMode(enabled) {
+    useRecoveryCode = enabled;
+    twoFactorCode.value = "";
+    twoFactorCode.classList.remove("input-error");
+
+    if (enabled) {
+      twoFactorHint.textContent =
+        "Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.";
+      twoFactorLabel.textContent = "Recovery code";
+      twoFactorCode.placeholder = "xxxx-xxxx";
+      twoFactorCode.inputMode = "text";
+      twoFactorCode.removeAttribute("maxlength");
+      twoFactorRecoveryBtn.textContent = "Use your authenticator app instead";
+    } else {
+      twoFactorHint.textContent =
+        "Enter the 6-digit code from your authenticator app.";
+      twoFactorLabel.textContent = "Authentication code";
+      twoFactorCode.placeholder = "123456";
+      twoFactorCode.inputMode = "numeric";
+      twoFactorCode.maxLength = 6;
+      twoFactorRecoveryBtn.textContent = "Use a recovery code instead";
+    }
+  }
+
+  if (twoFactorForm) {
+    twoFactorForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      hideMessage(twoFactorMsg);
+
+      // Authenticator apps show the code as "123 456"
+      const code = twoFactorCode.value.replace(/\s+/g, "");
+
+      if (!code) {
+        showMessage(twoFactorMsg, "Please enter the code.", "error");
+        twoFactorCode.focus();
+        return;
+      }
+      if (!useRecoveryCode && !/^\d{6}$/.test(code)) {
+        showMessage(twoFactorMsg, "The code has 6 digits.", "error");
+        twoFactorCode.classList.add("input-error");
+        twoFactorCode.focus();
+        return;
+      }
+
+      setLoading(twoFactorSubmit, true);
+
+      try {
+        const data = await GigaAPI.Auth.loginTwoFactor(
+          twoFactorChallenge,
+          code
+        );
+        completeLogin(data, twoFactorMsg);
+      } catch (err) {
+        const msg =
+          err.status === 401
+            ? "Invalid code. Please try again."
+            : err.message || "Verification failed. Please try again.";
+        showMessage(twoFactorMsg, msg, "error");
+        twoFactorCode.select();
+      } finally {
+        setLoading(twoFactorSubmit, false);
+      }
+    });
+  }
+
+  if (twoFactorRecoveryBtn) {
+    twoFactorRecoveryBtn.addEventListener("click", () => {
+      hideMessage(twoFactorMsg);
+      setRecoveryMode(!useRecoveryCode);
+      twoFactorCode.focus();
+    });
+  }
+
+  if (twoFactorBackBtn) {
+    twoFactorBackBtn.addEventListener("click", () => {
+      hideMessage(twoFactorMsg);
+      leaveTwoFactorStep();
+    });
+  }
+
   // ── Register form submission ────────────────────────────────────────
 
   if (registerForm) {
@@ -240,13 +353,14 @@
         regPassword.focus();
         return;
       }
-      if (password.length < 6) {
-        showMessage(
-          registerMsg,
-          "Password must be at least 6 characters.",
-          "error"
-        );
+      const passwordProblem = GigaPassword.passwordProblem(
+        password,
+        registerUserInputs()
+      );
+      if (passwordProblem) {
+        showMessage(registerMsg, passwordProblem, "error");
         regPassword.focus();
+        regPassword.classList.add("input-error");
         return;
       }
       if (password !== confirm) {
@@ -13,8 +13,24 @@
   let friends = []; // array of FriendInfo objects
   let activeConversationId = null; // UUID of the open conversation
   let activeFriendId = null; // UUID of the friend we're chatting with
-  let wsConnection = null; // current WebSocket wrapper
+  let activeGroupId = null; // conversation UUID when the open chat is a group
   let messages = []; // messages in the current conversation
+  let outbox = []; // messages typed but not yet confirmed by the server
+  let readMarkers = {}; // conversationId -> created_at of last read message
+  let dmConversations = {}; // conversationId -> friend_id
+  let offline = false; // backend unreachable at startup: cached, read-only
+  let notifySettings = null; // desktop notification preferences
+  let sessionEnded = false; // logging out or signed out remotely
+  const conversationSummaries = new Map(); // conversationId -> { friendId, lastMessage, unread }
+  let pendingRequests = []; // { userId, outgoing, profile }
+  const profileCache = new Map(); // user_id -> profile (or a pending promise)
+  const knownUsers = new Map(); // user_id -> resolved profile, for sync lookups
+  const groupConversations = new Map(); // conversationId -> { id, name, members: [user_id] }
+  const historyCache = new Map(); // conversationId -> Map(message id -> message)
+  const presence = new Map(); // user_id -> { status, at }
+  const typingUsers = new Map(); // conversationId -> Map(user_id -> expiry timer)
+  const blockedUsers = new Map(); // user_id -> profile of someone we blocked
+  const mutedFriends = new Set(); // user_ids muted on the server
 
   // Avatar color palette (matches CSS variables)
   const AVATAR_COLORS = [
@@ -28,6 +44,79 @@
 
   const MAX_MESSAGE_LENGTH = 500;
 
+  // Outbound queue persistence and delivery confirmation
+  const OUTBOX_STORAGE_KEY = "gigachat_outbox";
+  const DRAFT_STORAGE_KEY = "gigachat_draft"; // composer text kept on expiry
+  const SEND_ACK_TIMEOUT = 10000; // ms to wait for the server echo
+  const CLOCK_SKEW_TOLERANCE = 60000; // ms, when matching history to outbox
+
+  // Sidebar activity: read markers and which friend a DM belongs to
+  const READ_MARKERS_STORAGE_KEY = "gigachat_read_markers";
+  const DM_MAP_STORAGE_KEY = "gigachat_dm_conversations";
+  const FRIEND_LIST_REFRESH_INTERVAL = 60000; // keeps "5m ago" labels fresh
+  const PENDING_REFRESH_INTERVAL = 30000; // polls for new friend requests
+
+  // Add Friend user search
+  const USER_SEARCH_DEBOUNCE = 300; // ms after the last keystroke
+  const USER_SEARCH_MIN_LENGTH = 2;
+  const UUID_REGEX =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  // Message search (sidebar)
+  const MESSAGE_SEARCH_DEBOUNCE = 300; // ms after the last keystroke
+  const MESSAGE_SEARCH_MIN_LENGTH = 2;
+  const MESSAGE_SEARCH_LIMIT = 30;
+  const SEARCH_SNIPPET_CONTEXT = 40; // characters shown around the match
+
+  // Typing indicators
+  const TYPING_IDLE_TIMEOUT = 3000; // ms without input before we send "stop"
+  const TYPING_REFRESH_INTERVAL = 4000; // ms between repeated "start" frames
+  const TYPING_EXPIRE_TIMEOUT = 6000; // ms before a silent typer is dropped
+
+  // Presence
+  const AWAY_TIMEOUT = 5 * 60000; // ms without input before we show as away
+  const PRESENCE_HEARTBEAT_INTERVAL = 60000; // ms between re-announcements
+  const PRESENCE_EXPIRE_TIMEOUT = 150000; // ms without a heartbeat -> offline
+  const PRESENCE_LABELS = {
+    online: "Online",
+    away: "Away",
+    offline: "Offline",
+  };
+
+  // Attachments
+  const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // bytes, per file
+  const MAX_ATTACHMENTS = 5; // per message
+  const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+  const ALLOWED_ATTACHMENT_TYPES = IMAGE_TYPES.concat([
+    "application/pdf",
+    "application/zip",
+    "application/json",
+    "text/plain",
+    "text/csv",
+    "text/markdown",
+  ]);
+
+  // Avatars
+  const AVATAR_SIZE = 256; // px, uploaded avatars are square
+  const AVATAR_CROP_VIEW = 280; // px, size of the crop canvas (see chat.html)
+  const AVATAR_MAX_ZOOM = 3; // relative to "image just covers the square"
+  const AVATAR_JPEG_QUALITY = 0.9;
+  const MAX_AVATAR_SOURCE_SIZE = 10 * 1024 * 1024; // bytes, before cropping
+
+  // Desktop notifications and the tab title badge
+  const NOTIFY_SETTINGS_STORAGE_KEY = "gigachat_notifications";
+  const NOTIFICATION_PREVIEW_LENGTH = 120; // characters of the message shown
+  const DEFAULT_NOTIFY_SETTINGS = {
+    enabled: false,
+    muted: [], // conversation ids
+    quietHours: { enabled: false, start: "22:00", end: "07:00" },
+  };
+  const BASE_TITLE = document.title;
+
+  // Read receipts
+  const READ_RECEIPT_DELAY = 500; // ms to batch "read" events while scrolling
+  const READ_VISIBLE_RATIO = 0.6; // share of a message that must be on screen
+
   // ── DOM references ──────────────────────────────────────────────────
 
   // Workspace header
@@ -36,25 +125,59 @@
 
   // Sidebar
   const friendListEl = document.getElementById("friend-list");
+  const groupListEl = document.getElementById("group-list");
   const searchInput = document.getElementById("sidebar-search");
+  const requestsSection = document.getElementById("requests-section");
+  const requestListEl = document.getElementById("request-list");
+  const requestsBadge = document.getElementById("requests-badge");
+  const messageSearchSection = document.getElementById(
+    "message-search-section",
+  );
+  const messageSearchResultsEl = document.getElementById(
+    "message-search-results",
+  );
 
   // Chat area
   const chatEmptyState = document.getElementById("chat-empty-state");
   const chatActiveArea = document.getElementById("chat-active-area");
   const chatHeaderTitle = document.getElementById("chat-header-title");
   const chatHeaderMeta = document.getElementById("chat-header-meta");
+  const btnGroupMembers = document.getElementById("btn-group-members");
   const messagesArea = document.getElementById("messages-area");
   const connectionStatus = document.getElementById("connection-status");
+  const typingIndicator = document.getElementById("typing-indicator");
 
   // Composer
   const composerTextarea = document.getElementById("composer-textarea");
   const composerCharCount = document.getElementById("composer-char-count");
   const btnSend = document.getElementById("btn-send");
+  const btnAttach = document.getElementById("btn-attach");
+  const attachInput = document.getElementById("attach-input");
+  const attachmentTray = document.getElementById("composer-attachments");
+  const composerReply = document.getElementById("composer-reply");
+  const composerReplySender = document.getElementById("composer-reply-sender");
+  const composerReplySnippet = document.getElementById(
+    "composer-reply-snippet",
+  );
 
   // Modals
   const addFriendModal = document.getElementById("add-friend-modal");
   const settingsModal = document.getElementById("settings-modal");
   const profileModal = document.getElementById("profile-modal");
+  const createGroupModal = document.getElementById("create-group-modal");
+  const groupMembersModal = document.getElementById("group-members-modal");
+  const reportModal = document.getElementById("report-modal");
+  const avatarCropModal = document.getElementById("avatar-crop-modal");
+  const reloginModal = document.getElementById("relogin-modal");
+  const twoFactorModal = document.getElementById("twofactor-modal");
+  const passwordModal = document.getElementById("password-modal");
+  const deleteAccountModal = document.getElementById("delete-account-modal");
+  const avatarCropCanvas = document.getElementById("avatar-crop-canvas");
+
+  // Image lightbox
+  const lightbox = document.getElementById("lightbox");
+  const lightboxImage = document.getElementById("lightbox-image");
+  const lightboxCaption = document.getElementById("lightbox-caption");
 
   // Toast
   const toastContainer = document.getElementById("toast-container");
@@ -80,11 +203,24 @@
       if (!currentUser || currentUser.user_id !== meData.user_id) {
         currentUser = { user_id: meData.user_id, username: "User" };
       }
-    } catch {
-      // Session invalid – redirect to login
-      window.location.href = "index.html";
-      return;
+    } catch (err) {
+      // No network: show the cached conversations, read-only
+      if (isNetworkError(err) && currentUser) {
+        offline = true;
+      } else {
+        // Session invalid – redirect to login
+        window.location.href = "index.html";
+        return;
+      }
     }
+    GigaStore.use(currentUser.user_id);
+    // From now on a 401 means the session expired (or was revoked):
+    // failed requests wait for a re-login instead of failing
+    GigaAPI.enableSessionRecovery();
+    window.addEventListener(
+      GigaAPI.SESSION_EXPIRED_EVENT,
+      handleSessionExpired,
+    );
 
     // 2. Load full profile
     try {
@@ -92,18 +228,99 @@
       currentUser.username = currentProfile.username;
       // Update localStorage
       localStorage.setItem("gigachat_user", JSON.stringify(currentUser));
+      GigaStore.set("profile", currentProfile);
     } catch {
-      // If profile fetch fails, we can still proceed with basic info
+      // If profile fetch fails, we can still proceed with cached info
+      currentProfile = await GigaStore.get("profile");
     }
 
     // 3. Update workspace header
     updateWorkspaceHeader();
-
-    // 4. Load friends list
+    loadOutbox();
+    readMarkers = readStorage(READ_MARKERS_STORAGE_KEY, {});
+    dmConversations = readStorage(DM_MAP_STORAGE_KEY, {});
+    loadNotifySettings();
+
+    // 4. Show cached conversations, then load friends and pending requests
+    await Promise.all([loadBlockedUsers(), loadMutedFriends()]);
+    await restoreCachedState();
     await loadFriends();
+    setInterval(refreshFriendList, FRIEND_LIST_REFRESH_INTERVAL);
 
     // 5. Bind event listeners
     bindEvents();
+
+    if (offline) {
+      enterOfflineMode();
+      return;
+    }
+
+    loadPendingRequests();
+    setInterval(loadPendingRequests, PENDING_REFRESH_INTERVAL);
+
+    // 6. Listen for realtime events in every conversation and fill in
+    //    the sidebar previews / unread counts
+    loadConversations();
+    setInterval(loadConversations, PENDING_REFRESH_INTERVAL);
+    setInterval(presenceHeartbeat, PRESENCE_HEARTBEAT_INTERVAL);
+  }
+
+  // ── Offline cache ───────────────────────────────────────────────────
+  // Friends, profiles, groups and recent messages are mirrored into
+  // IndexedDB (js/store.js). The sidebar is filled from there before the
+  // network answers, and is all we have when the backend is unreachable.
+
+  async function restoreCachedState() {
+    const [profiles, groups, conversationIds] = await Promise.all([
+      GigaStore.get("profiles"),
+      GigaStore.get("groups"),
+      GigaStore.listConversations(),
+    ]);
+    (profiles || []).forEach((p) => knownUsers.set(getProfileId(p), p));
+    (groups || []).forEach((g) => groupConversations.set(g.id, g));
+
+    await Promise.all(
+      conversationIds.map(async (conversationId) => {
+        const list = await GigaStore.getMessages(conversationId);
+        indexMessages(conversationId, list);
+        summarizeConversation(conversationId, list);
+      }),
+    );
+  }
+
+  function saveKnownUsers() {
+    GigaStore.set("profiles", [...knownUsers.values()]);
+  }
+
+  function saveGroups() {
+    GigaStore.set("groups", [...groupConversations.values()]);
+  }
+
+  // Write an edited/deleted message back so the cache doesn't revive it
+  function saveCachedMessage(conversationId, messageId) {
+    const cached = historyCache.get(conversationId)?.get(messageId);
+    if (cached) GigaStore.saveMessages(conversationId, [cached]);
+  }
+
+  // Started without a backend: everything stays readable, nothing can be
+  // sent. Coming back online reloads into the normal, live page.
+  function enterOfflineMode() {
+    document.body.classList.add("offline");
+    if (composerTextarea) {
+      composerTextarea.disabled = true;
+      composerTextarea.placeholder =
+        "You\u2019re offline \u2014 cached messages are read-only";
+    }
+    if (btnSend) btnSend.disabled = true;
+    if (btnAttach) btnAttach.disabled = true;
+    window.addEventListener("online", () => window.location.reload(), {
+      once: true,
+    });
+    showToast("You\u2019re offline. Showing cached conversations.", "info");
+  }
+
+  function isNetworkError(err) {
+    return !err.status;
   }
 
   // ── Workspace header ────────────────────────────────────────────────
@@ -116,8 +333,15 @@
       "User";
 
     if (workspaceName) workspaceName.textContent = name;
-    if (workspaceAvatar)
+    if (workspaceAvatar) {
       workspaceAvatar.textContent = name.charAt(0).toUpperCase();
+      const container = workspaceAvatar.parentElement;
+      container.querySelector(".avatar-img")?.remove();
+      container.insertAdjacentHTML(
+        "beforeend",
+        buildAvatarImg(currentProfile && currentProfile.avatar_url),
+      );
+    }
   }
 
   // ── Friends ─────────────────────────────────────────────────────────
@@ -126,22 +350,27 @@
     try {
       const data = await GigaAPI.Friends.list();
       friends = data.friends || [];
+      GigaStore.set("friends", friends);
     } catch {
-      friends = [];
+      friends = (await GigaStore.get("friends")) || [];
     }
-    renderFriendList();
+    refreshFriendList();
   }
 
   function renderFriendList(filter = "") {
     if (!friendListEl) return;
 
-    const filtered = filter
-      ? friends.filter(
-          (f) =>
-            (f.username || "").toLowerCase().includes(filter.toLowerCase()) ||
-            (f.display_name || "").toLowerCase().includes(filter.toLowerCase()),
-        )
-      : friends;
+    const filtered = (
+      filter
+        ? friends.filter(
+            (f) =>
+              (f.username || "").toLowerCase().includes(filter.toLowerCase()) ||
+              (f.display_name || "")
+                .toLowerCase()
+                .includes(filter.toLowerCase()),
+          )
+        : friends.slice()
+    ).sort(compareFriendActivity);
 
     if (filtered.length === 0) {
       friendListEl.innerHTML = `
@@ -163,18 +392,49 @@
         const initial = displayName.charAt(0).toUpperCase();
         const color = getAvatarColor(f.friend_id || f.username);
         const isActive = f.friend_id === activeFriendId;
+        const summary = getFriendSummary(f.friend_id);
+        const last = summary && summary.lastMessage;
+        const muted = isFriendMuted(f.friend_id);
+        const unread = summary && !muted ? summary.unread : 0;
+        const status = getPresence(f.friend_id);
 
         return `
-          <div class="friend-item ${isActive ? "active" : ""}"
+          <div class="friend-item ${isActive ? "active" : ""} ${unread ? "unread" : ""}"
                data-friend-id="${f.friend_id}"
                data-username="${escapeHtml(f.username || "")}"
                data-display-name="${escapeHtml(displayName)}">
             <div class="friend-avatar" style="background:${color}">
               ${initial}
+              ${buildAvatarImg(f.avatar_url)}
+              <span class="presence-dot ${status}"
+                    data-user-id="${f.friend_id}"
+                    title="${PRESENCE_LABELS[status]}"></span>
             </div>
             <div class="friend-info">
-              <div class="friend-name">${escapeHtml(displayName)}</div>
+              <div class="friend-name-row">
+                <div class="friend-name">${escapeHtml(displayName)}</div>
+                ${muted ? '<span class="friend-muted" title="Muted">\u{1F515}</span>' : ""}
+                ${
+                  last
+                    ? `<span class="friend-time">${formatRelativeTime(last.created_at)}</span>`
+                    : ""
+                }
+              </div>
+              ${
+                last
+                  ? `<div class="friend-preview">${
+                      last.sender_id === currentUser.user_id ? "You: " : ""
+                    }${escapeHtml(getPreviewText(last))}</div>`
+                  : ""
+              }
             </div>
+            ${
+              unread
+                ? `<div class="friend-badge">${unread > 99 ? "99+" : unread}</div>`
+                : ""
+            }
+            <button type="button" class="friend-menu-btn"
+                    aria-label="More actions" title="More actions">\u22EF</button>
           </div>
         `;
       })
@@ -182,602 +442,5086 @@
 
     // Bind click handlers
     friendListEl.querySelectorAll(".friend-item").forEach((el) => {
-      el.addEventListener("click", () => {
+      el.addEventListener("click", (e) => {
+        if (e.target.closest(".friend-menu-btn")) {
+          const rect = e.target.getBoundingClientRect();
+          openFriendMenu(el.dataset.friendId, rect.left, rect.bottom + 4);
+          return;
+        }
         const friendId = el.dataset.friendId;
         const displayName = el.dataset.displayName;
         openConversation(friendId, displayName);
+        closeMobileSidebar();
+      });
+      el.addEventListener("contextmenu", (e) => {
+        e.preventDefault();
+        openFriendMenu(el.dataset.friendId, e.clientX, e.clientY);
+      });
+    });
+  }
+
+  function closeMobileSidebar() {
+    document.querySelector(".sidebar")?.classList.remove("open");
+    document.querySelector(".sidebar-backdrop")?.classList.remove("visible");
+  }
+
+  // ── Groups ──────────────────────────────────────────────────────────
+
+  function renderGroupList(filter = "") {
+    if (!groupListEl) return;
+
+    const groups = Array.from(groupConversations.values())
+      .filter(
+        (g) => !filter || g.name.toLowerCase().includes(filter.toLowerCase()),
+      )
+      .sort(
+        (a, b) =>
+          compareActivity(getSummary(a.id), getSummary(b.id)) ||
+          a.name.localeCompare(b.name),
+      );
+
+    if (groups.length === 0) {
+      groupListEl.innerHTML = filter
+        ? ""
+        : `<div class="group-list-empty">No groups yet.</div>`;
+      return;
+    }
 
-        // Close mobile sidebar
-        document.querySelector(".sidebar")?.classList.remove("open");
-        document
-          .querySelector(".sidebar-backdrop")
-          ?.classList.remove("visible");
+    groupListEl.innerHTML = groups
+      .map((g) => {
+        const summary = getSummary(g.id);
+        const last = summary.lastMessage;
+        const isActive = g.id === activeGroupId;
+        const muted = isMuted(g.id);
+        const unread = muted ? 0 : summary.unread;
+
+        return `
+          <div class="friend-item ${isActive ? "active" : ""} ${unread ? "unread" : ""}"
+               data-conversation-id="${g.id}">
+            <div class="friend-avatar group-avatar" style="background:${getAvatarColor(g.id)}">
+              ${escapeHtml(g.name.charAt(0).toUpperCase())}
+            </div>
+            <div class="friend-info">
+              <div class="friend-name-row">
+                <div class="friend-name">${escapeHtml(g.name)}</div>
+                ${muted ? '<span class="friend-muted" title="Muted">\u{1F515}</span>' : ""}
+                ${
+                  last
+                    ? `<span class="friend-time">${formatRelativeTime(last.created_at)}</span>`
+                    : ""
+                }
+              </div>
+              <div class="friend-preview">${
+                last
+                  ? `${escapeHtml(
+                      last.sender_id === currentUser.user_id
+                        ? "You"
+                        : getUserName(last.sender_id),
+                    )}: ${escapeHtml(getPreviewText(last))}`
+                  : `${g.members.length} members`
+              }</div>
+            </div>
+            ${
+              unread
+                ? `<div class="friend-badge">${unread > 99 ? "99+" : unread}</div>`
+                : ""
+            }
+          </div>
+        `;
+      })
+      .join("");
+
+    groupListEl.querySelectorAll(".friend-item").forEach((el) => {
+      el.addEventListener("click", () => {
+        openGroupConversation(el.dataset.conversationId);
+        closeMobileSidebar();
       });
     });
   }
 
-  // ── Conversation ────────────────────────────────────────────────────
+  // Store a conversation's details if it is a group; returns whether it is
+  function rememberGroup(details, conversationId) {
+    if (!details || !details.is_group) return false;
 
-  async function openConversation(friendId, friendDisplayName) {
-    // Highlight friend in sidebar
-    activeFriendId = friendId;
-    friendListEl.querySelectorAll(".friend-item").forEach((el) => {
-      el.classList.toggle("active", el.dataset.friendId === friendId);
+    const id = details.id || details.conversation_id || conversationId;
+    const members = (details.members || []).map((m) => {
+      if (typeof m === "string") return m;
+      const userId = m.user_id || m.id;
+      if (m.username) knownUsers.set(userId, m);
+      return userId;
+    });
+
+    groupConversations.set(id, {
+      id,
+      name: details.name || "Untitled group",
+      members,
     });
+    getSummary(id).isGroup = true;
+    saveGroups();
+    saveKnownUsers();
+    return true;
+  }
 
-    // Close any existing WebSocket
-    if (wsConnection) {
-      wsConnection.close();
-      wsConnection = null;
+  function openCreateGroupModal() {
+    const nameInput = document.getElementById("create-group-name");
+    const msgEl = document.getElementById("create-group-message");
+    const picker = document.getElementById("create-group-members");
+
+    if (nameInput) nameInput.value = "";
+    if (msgEl) msgEl.style.display = "none";
+    if (picker) {
+      picker.innerHTML = friends.length
+        ? friends
+            .map((f) => {
+              const displayName = f.display_name || f.username || "?";
+              return `
+                <label class="member-picker-item">
+                  <input type="checkbox" value="${f.friend_id}" />
+                  <span class="friend-avatar" style="background:${getAvatarColor(f.friend_id)}">
+                    ${escapeHtml(displayName.charAt(0).toUpperCase())}
+                    ${buildAvatarImg(f.avatar_url)}
+                  </span>
+                  <span class="friend-name">${escapeHtml(displayName)}</span>
+                </label>
+              `;
+            })
+            .join("")
+        : `<div class="user-search-hint">Add some friends first.</div>`;
     }
 
-    // Show the active chat area, hide empty state
-    if (chatEmptyState) chatEmptyState.style.display = "none";
-    if (chatActiveArea) chatActiveArea.style.display = "flex";
+    openModal(createGroupModal);
+    nameInput?.focus();
+  }
 
-    // Update header
-    if (chatHeaderTitle) {
-      chatHeaderTitle.innerHTML = `
-        <h2>${escapeHtml(friendDisplayName)}</h2>
-        <div class="chat-header-tags">
-          <span class="chat-tag">direct message</span>
-        </div>
-      `;
+  async function handleCreateGroup(e) {
+    e.preventDefault();
+
+    const nameInput = document.getElementById("create-group-name");
+    const msgEl = document.getElementById("create-group-message");
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    const name = nameInput ? nameInput.value.trim() : "";
+    const memberIds = Array.from(
+      document.querySelectorAll("#create-group-members input:checked"),
+    ).map((input) => input.value);
+
+    if (!name) {
+      showModalMessage(msgEl, "Please give the group a name.", "error");
+      return;
     }
-    if (chatHeaderMeta) {
-      chatHeaderMeta.textContent = "1-on-1 conversation";
+    if (memberIds.length < 2) {
+      showModalMessage(
+        msgEl,
+        "Pick at least two friends for a group.",
+        "error",
+      );
+      return;
     }
 
-    // Clear messages
-    messages = [];
-    renderMessages();
+    if (submitBtn) submitBtn.disabled = true;
 
-    // Show loading
-    if (messagesArea) {
-      messagesArea.innerHTML = '<div class="loading-spinner"></div>';
+    try {
+      const result = await GigaAPI.Conversations.createGroup(name, memberIds);
+      const conversationId = result.conversation_id;
+      rememberGroup({
+        id: conversationId,
+        is_group: true,
+        name,
+        members: [currentUser.user_id, ...memberIds],
+      });
+      subscribeConversation(conversationId);
+      closeModal(createGroupModal);
+      showToast(`Group "${name}" created!`, "success");
+      openGroupConversation(conversationId);
+    } catch (err) {
+      showModalMessage(msgEl, err.message || "Failed to create group.", "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
     }
+  }
 
+  // Refresh a group's details from the server and redraw what shows them
+  async function reloadGroup(conversationId) {
     try {
-      // Start or get existing conversation
-      console.log("[DEBUG] Starting conversation with friendId:", friendId);
-      const convData = await GigaAPI.Conversations.start(friendId);
-      console.log("[DEBUG] Conversation response:", convData);
-      activeConversationId = convData.conversation_id;
-      console.log("[DEBUG] activeConversationId:", activeConversationId);
-
-      if (!activeConversationId) {
-        throw new Error("Server did not return a conversation_id");
-      }
-
-      // Load history
-      console.log(
-        "[DEBUG] Loading messages for conversation:",
-        activeConversationId,
+      rememberGroup(
+        await GigaAPI.Conversations.get(conversationId),
+        conversationId,
       );
-      const historyData =
-        await GigaAPI.Conversations.messages(activeConversationId);
-      console.log("[DEBUG] Messages response:", historyData);
-      messages = historyData.messages || [];
-      renderMessages();
-      scrollToBottom();
-
-      // Connect WebSocket
-      connectWebSocket(activeConversationId);
     } catch (err) {
-      showToast("Failed to open conversation: " + err.message, "error");
-      if (messagesArea) {
-        messagesArea.innerHTML = `
-          <div class="chat-empty-state">
-            <div class="empty-icon">\u26A0\uFE0F</div>
-            <h3>Could not load conversation</h3>
-            <p>${escapeHtml(err.message)}</p>
-          </div>
-        `;
-      }
+      showToast("Failed to load group: " + err.message, "error");
+      return;
+    }
+    await resolveUsers(groupConversations.get(conversationId).members);
+    refreshFriendList();
+    if (conversationId === activeGroupId) {
+      updateConversationHeader();
+      renderGroupMembers();
     }
   }
 
-  // ── WebSocket ───────────────────────────────────────────────────────
+  function openGroupMembersModal() {
+    const group = groupConversations.get(activeGroupId);
+    if (!group) return;
 
-  function connectWebSocket(conversationId) {
-    if (wsConnection) {
-      wsConnection.close();
-    }
+    const renameInput = document.getElementById("group-rename-input");
+    if (renameInput) renameInput.value = group.name;
+    renderGroupMembers();
+    openModal(groupMembersModal);
+  }
 
-    updateConnectionStatus("reconnecting");
+  function renderGroupMembers() {
+    const group = groupConversations.get(activeGroupId);
+    const listEl = document.getElementById("group-member-list");
+    const selectEl = document.getElementById("group-add-member-select");
+    if (!group || !listEl) return;
 
-    wsConnection = GigaAPI.ChatSocket.connect(conversationId, {
-      onOpen() {
-        updateConnectionStatus("connected");
-      },
+    listEl.innerHTML = group.members
+      .map((userId) => {
+        const isSelf = userId === currentUser.user_id;
+        const name = isSelf ? "You" : getUserName(userId);
+        return `
+          <div class="pending-item" data-user-id="${userId}">
+            <div class="friend-avatar" style="background:${getAvatarColor(userId)}">
+              ${escapeHtml(name.charAt(0).toUpperCase())}
+              ${buildAvatarImg(getAvatarUrl(userId))}
+            </div>
+            <div class="friend-name">${escapeHtml(name)}</div>
+            ${
+              isSelf
+                ? ""
+                : `<button type="button" class="btn-decline" data-action="remove">Remove</button>`
+            }
+          </div>
+        `;
+      })
+      .join("");
 
-      onMessage(data) {
-        // data = { sender_id, content, created_at }
-        if (!data || !data.content) return;
-
-        const newMsg = {
-          id: crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(),
-          conversation_id: conversationId,
-          sender_id: data.sender_id,
-          content: data.content,
-          created_at: data.created_at || new Date().toISOString(),
-        };
-
-        messages.push(newMsg);
-
-        // Append only the new message instead of re-rendering everything
-        appendMessage(newMsg);
-        scrollToBottom(true); // smooth scroll for new messages
-      },
+    if (selectEl) {
+      const candidates = friends.filter(
+        (f) => !group.members.includes(f.friend_id),
+      );
+      selectEl.innerHTML = candidates.length
+        ? candidates
+            .map(
+              (f) =>
+                `<option value="${f.friend_id}">${escapeHtml(
+                  f.display_name || f.username || "?",
+                )}</option>`,
+            )
+            .join("")
+        : `<option value="">All your friends are in this group</option>`;
+      selectEl.disabled = candidates.length === 0;
+    }
+  }
 
-      onClose() {
-        updateConnectionStatus("disconnected");
-      },
+  async function handleRenameGroup(e) {
+    e.preventDefault();
+    const input = document.getElementById("group-rename-input");
+    const name = input ? input.value.trim() : "";
+    if (!activeGroupId || !name) return;
 
-      onError() {
-        updateConnectionStatus("disconnected");
-      },
-    });
+    try {
+      await GigaAPI.Conversations.rename(activeGroupId, name);
+      showToast("Group renamed.", "success");
+      await reloadGroup(activeGroupId);
+    } catch (err) {
+      showToast("Failed to rename group: " + err.message, "error");
+    }
   }
 
-  function updateConnectionStatus(status) {
-    if (!connectionStatus) return;
-
-    connectionStatus.className = "connection-status";
+  async function handleAddGroupMember(e) {
+    e.preventDefault();
+    const selectEl = document.getElementById("group-add-member-select");
+    const userId = selectEl ? selectEl.value : "";
+    if (!activeGroupId || !userId) return;
 
-    if (status === "connected") {
-      connectionStatus.style.display = "none";
-    } else if (status === "disconnected") {
-      connectionStatus.classList.add("disconnected");
-      connectionStatus.innerHTML = `
-        <span class="status-dot-indicator"></span>
-        Disconnected. Messages may not be delivered.
-      `;
-    } else if (status === "reconnecting") {
-      connectionStatus.classList.add("reconnecting");
-      connectionStatus.innerHTML = `
-        <span class="status-dot-indicator"></span>
-        Connecting\u2026
-      `;
+    try {
+      await GigaAPI.Conversations.addMember(activeGroupId, userId);
+      await reloadGroup(activeGroupId);
+    } catch (err) {
+      showToast("Failed to add member: " + err.message, "error");
     }
   }
 
-  // ── Messages rendering ──────────────────────────────────────────────
+  async function handleRemoveGroupMember(userId) {
+    if (!activeGroupId) return;
+    try {
+      await GigaAPI.Conversations.removeMember(activeGroupId, userId);
+      await reloadGroup(activeGroupId);
+    } catch (err) {
+      showToast("Failed to remove member: " + err.message, "error");
+    }
+  }
 
-  function renderMessages() {
-    if (!messagesArea) return;
+  async function handleLeaveGroup() {
+    const group = groupConversations.get(activeGroupId);
+    if (!group || !confirm(`Leave "${group.name}"?`)) return;
 
-    if (messages.length === 0) {
-      messagesArea.innerHTML = `
-        <div class="message-system">
-          <span class="system-text">This is the beginning of your conversation. Say hi! \u{1F44B}</span>
-        </div>
-      `;
+    try {
+      await GigaAPI.Conversations.removeMember(group.id, currentUser.user_id);
+    } catch (err) {
+      showToast("Failed to leave group: " + err.message, "error");
       return;
     }
 
-    let html = "";
-
-    messages.forEach((msg, index) => {
-      html += buildMessageHtml(msg, index);
-    });
-
-    messagesArea.innerHTML = html;
+    subscriptions.get(group.id)?.();
+    subscriptions.delete(group.id);
+    groupConversations.delete(group.id);
+    conversationSummaries.delete(group.id);
+    saveGroups();
+    closeModal(groupMembersModal);
+    closeConversation();
+    refreshFriendList();
+    showToast(`You left "${group.name}".`, "info");
   }
 
-  // Build HTML for a single message (used by both renderMessages and appendMessage)
-  function buildMessageHtml(msg, index) {
-    const isSelf = msg.sender_id === currentUser.user_id;
-    const senderName = isSelf ? "You" : getFriendName(msg.sender_id);
-    const initial = senderName.charAt(0).toUpperCase();
-    const color = isSelf
-      ? AVATAR_COLORS[3] // navy for self
-      : getAvatarColor(msg.sender_id);
-    const time = formatTime(msg.created_at);
-    const side = isSelf ? "self" : "other";
-
-    let html = "";
+  // ── Pending friend requests ──────────────────────────────────────────
 
-    // Show date separator if needed
-    const prevMsg = index > 0 ? messages[index - 1] : null;
-    if (
-      index === 0 ||
-      (prevMsg && isDifferentDay(prevMsg.created_at, msg.created_at))
-    ) {
-      const dateStr = formatDate(msg.created_at);
-      html += `<div class="date-separator"><span>${dateStr}</span></div>`;
+  async function loadPendingRequests() {
+    let data;
+    try {
+      data = await GigaAPI.Friends.pending();
+    } catch {
+      return; // keep showing the last known list
     }
 
-    html += `
-      <div class="message ${side}" data-msg-id="${msg.id}">
-        <div class="message-avatar" style="background:${color}">${initial}</div>
-        <div class="message-body">
-          <div class="message-header">
-            <span class="message-sender">${escapeHtml(senderName)}</span>
-            <span class="message-time">${time}</span>
-          </div>
-          <div class="message-bubble">${escapeHtml(msg.content)}</div>
-        </div>
-      </div>
-    `;
+    const requests = (data.pending || []).map(normalizePendingRequest);
+    await Promise.all(
+      requests.map(async (req) => {
+        if (!req.profile) req.profile = await getProfile(req.userId);
+      }),
+    );
 
-    return html;
+    pendingRequests = requests.filter((req) => req.userId);
+    renderPendingRequests();
   }
 
-  // Append a single message to the chat (no full re-render)
-  function appendMessage(msg) {
-    if (!messagesArea) return;
+  // A pending row names both ends of the request; work out which one is
+  // the other user and which way the request goes.
+  function normalizePendingRequest(p) {
+    const outgoing = p.direction
+      ? p.direction === "outgoing"
+      : p.requester_id === currentUser.user_id;
+    const userId =
+      p.friend_id ||
+      (outgoing ? p.addressee_id : p.requester_id) ||
+      p.user_id ||
+      null;
+
+    return {
+      userId,
+      outgoing,
+      // Some rows already carry the profile fields
+      profile: p.username ? p : null,
+    };
+  }
 
-    // Remove the "Say hi" system message if this is the first real message
-    const systemMsg = messagesArea.querySelector(".message-system");
-    if (systemMsg) {
-      systemMsg.remove();
-    }
+  function renderPendingRequests() {
+    if (!requestsSection || !requestListEl) return;
 
-    // Check if message already exists (prevent duplicates)
-    if (messagesArea.querySelector(`[data-msg-id="${msg.id}"]`)) {
-      return;
+    const incomingCount = pendingRequests.filter((r) => !r.outgoing).length;
+    requestsSection.hidden = pendingRequests.length === 0;
+    if (requestsBadge) {
+      requestsBadge.textContent = incomingCount || "";
+      requestsBadge.hidden = incomingCount === 0;
     }
 
-    const index = messages.length - 1;
-    const html = buildMessageHtml(msg, index);
+    // Incoming first – those are the ones waiting on us
+    const sorted = pendingRequests
+      .slice()
+      .sort((a, b) => Number(a.outgoing) - Number(b.outgoing));
 
-    // Create a temporary container to parse the HTML
-    const temp = document.createElement("div");
-    temp.innerHTML = html;
+    requestListEl.innerHTML = sorted
+      .map((req) => {
+        const profile = req.profile || {};
+        const displayName = profile.display_name || profile.username || "User";
+        const color = getAvatarColor(req.userId);
 
-    // Append each child element to the messages area
-    while (temp.firstChild) {
-      const child = temp.firstChild;
-      // Add animation class to message elements
-      if (child.classList && child.classList.contains("message")) {
-        child.classList.add("new-message");
-      }
-      messagesArea.appendChild(child);
-    }
-  }
+        return `
+          <div class="pending-item" data-user-id="${req.userId}">
+            <div class="friend-avatar" style="background:${color}">
+              ${escapeHtml(displayName.charAt(0).toUpperCase())}
+              ${buildAvatarImg(profile.avatar_url)}
+            </div>
+            <div class="friend-info">
+              <div class="friend-name">${escapeHtml(displayName)}</div>
+              <div class="friend-status-text">${
+                req.outgoing
+                  ? "Request sent"
+                  : profile.username
+                    ? `@${escapeHtml(profile.username)}`
+                    : "Wants to be friends"
+              }</div>
+            </div>
+            ${
+              req.outgoing
+                ? `<button type="button" class="btn-decline" data-action="decline" title="Cancel request">Cancel</button>`
+                : `<button type="button" class="btn-accept" data-action="accept">Accept</button>
+                   <button type="button" class="btn-decline" data-action="decline" title="Decline">\u00D7</button>`
+            }
+          </div>
+        `;
+      })
+      .join("");
 
-  function scrollToBottom(smooth = false) {
-    if (!messagesArea) return;
-    requestAnimationFrame(() => {
-      if (smooth) {
-        messagesArea.scrollTo({
-          top: messagesArea.scrollHeight,
-          behavior: "smooth",
-        });
-      } else {
-        messagesArea.scrollTop = messagesArea.scrollHeight;
-      }
+    requestListEl.querySelectorAll("[data-action]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const userId = btn.closest(".pending-item").dataset.userId;
+        if (btn.dataset.action === "accept") acceptRequest(userId, btn);
+        else declineRequest(userId, btn);
+      });
     });
   }
 
-  function getFriendName(senderId) {
-    const friend = friends.find((f) => f.friend_id === senderId);
-    if (friend) return friend.display_name || friend.username || "User";
-    return "User";
+  async function acceptRequest(userId, btn) {
+    btn.disabled = true;
+    try {
+      await GigaAPI.Friends.add(userId);
+      showToast("Friend request accepted!", "success");
+      await Promise.all([loadFriends(), loadPendingRequests()]);
+    } catch (err) {
+      showToast("Failed to accept request: " + err.message, "error");
+      btn.disabled = false;
+    }
   }
 
-  // ── Composer ────────────────────────────────────────────────────────
+  async function declineRequest(userId, btn) {
+    btn.disabled = true;
+    try {
+      await GigaAPI.Friends.decline(userId);
+      pendingRequests = pendingRequests.filter((r) => r.userId !== userId);
+      renderPendingRequests();
+    } catch (err) {
+      showToast("Failed to update request: " + err.message, "error");
+      btn.disabled = false;
+    }
+  }
 
-  function sendMessage() {
-    if (!composerTextarea || !wsConnection) return;
+  // Profiles are fetched once per session and shared between callers
+  async function getProfile(userId) {
+    if (!profileCache.has(userId)) {
+      profileCache.set(
+        userId,
+        GigaAPI.Profile.getProfile(userId)
+          .then((profile) => {
+            knownUsers.set(userId, profile);
+            saveKnownUsers();
+            return profile;
+          })
+          .catch(() => {
+            profileCache.delete(userId);
+            return null;
+          }),
+      );
+    }
+    return profileCache.get(userId);
+  }
 
-    const content = composerTextarea.value.trim();
-    if (!content || content.length > MAX_MESSAGE_LENGTH) return;
+  // ── Conversation ────────────────────────────────────────────────────
 
-    wsConnection.send(content);
+  let openSeq = 0; // guards against a slow open finishing after a newer one
 
-    // Clear the textarea
-    composerTextarea.value = "";
-    updateCharCount();
-    autoResizeTextarea();
-    composerTextarea.focus();
+  function openConversation(friendId, friendDisplayName) {
+    activeFriendId = friendId;
+    activeGroupId = null;
+
+    return enterConversation(async () => {
+      // Start or get existing conversation
+      let convData;
+      try {
+        convData = await GigaAPI.Conversations.start(friendId);
+      } catch (err) {
+        // Offline: fall back to the conversation we already know about
+        const known = findDmConversation(friendId);
+        if (known && isNetworkError(err)) return known;
+        throw err;
+      }
+      if (!convData.conversation_id) {
+        throw new Error("Server did not return a conversation_id");
+      }
+      rememberDmFriend(convData.conversation_id, friendId);
+      return convData.conversation_id;
+    }, friendDisplayName);
   }
 
-  function updateCharCount() {
-    if (!composerTextarea || !composerCharCount) return;
+  function openGroupConversation(conversationId) {
+    const group = groupConversations.get(conversationId);
+    if (!group) return;
 
-    const len = composerTextarea.value.length;
-    composerCharCount.textContent = `${len}/${MAX_MESSAGE_LENGTH}`;
+    activeFriendId = null;
+    activeGroupId = conversationId;
 
-    composerCharCount.classList.remove("near-limit", "at-limit");
-    if (len >= MAX_MESSAGE_LENGTH) {
-      composerCharCount.classList.add("at-limit");
-    } else if (len >= MAX_MESSAGE_LENGTH * 0.85) {
-      composerCharCount.classList.add("near-limit");
+    return enterConversation(async () => {
+      // Make sure every member has a name before the history renders
+      await resolveUsers(group.members);
+      return conversationId;
+    }, group.name);
+  }
+
+  // Open a conversation knowing only its id; false if we can't tell
+  // which friend or group it belongs to
+  async function openConversationById(conversationId) {
+    if (conversationId === activeConversationId) return true;
+
+    const friendId = getSummary(conversationId).friendId;
+    if (groupConversations.has(conversationId)) {
+      await openGroupConversation(conversationId);
+    } else if (friendId) {
+      await openConversation(friendId, getUserName(friendId));
+    } else {
+      showToast("That conversation isn't available anymore.", "error");
+      return false;
     }
+    return true;
+  }
 
-    // Enable/disable send button
-    if (btnSend) {
-      btnSend.disabled =
-        !composerTextarea.value.trim() || !activeConversationId;
+  async function enterConversation(resolveConversationId, title) {
+    const seq = ++openSeq;
+
+    // Highlight the chat in the sidebar
+    refreshFriendList();
+
+    // Stop routing realtime events to the previous conversation's view
+    stopTyping();
+    cancelReply();
+    closeReactionPicker();
+    clearStagedAttachments();
+    activeConversationId = null;
+    renderTypingIndicator();
+
+    // Show the active chat area, hide empty state
+    if (chatEmptyState) chatEmptyState.style.display = "none";
+    if (chatActiveArea) chatActiveArea.style.display = "flex";
+
+    updateConversationHeader(title);
+
+    // Clear messages
+    messages = [];
+    hasMoreHistory = false;
+    resetVirtualList();
+    renderMessages();
+
+    // Show loading
+    if (messagesArea) {
+      messagesArea.innerHTML = '<div class="loading-spinner"></div>';
+    }
+
+    try {
+      const conversationId = await resolveConversationId();
+      if (seq !== openSeq) return;
+
+      // Show the cached copy right away; the server's page replaces it
+      const cached = await GigaStore.getMessages(conversationId);
+      if (seq !== openSeq) return;
+      if (cached.length > 0 || offline) {
+        activeConversationId = conversationId;
+        messages = cached;
+        renderMessages();
+        scrollToBottom();
+      }
+      if (offline) {
+        summarizeConversation(conversationId, messages);
+        markConversationRead(conversationId);
+        updateConnectionStatus("offline");
+        return;
+      }
+
+      // Load the most recent page of history
+      let historyData;
+      try {
+        historyData = await GigaAPI.Conversations.messages(conversationId, {
+          limit: HISTORY_PAGE_SIZE,
+        });
+      } catch (err) {
+        // Lost the connection since startup: the cached copy will do
+        if (cached.length === 0 || !isNetworkError(err)) throw err;
+        if (seq !== openSeq) return;
+        showToast(
+          "Showing cached messages \u2014 could not reach the server.",
+          "info",
+        );
+        return;
+      }
+      if (seq !== openSeq) return;
+
+      activeConversationId = conversationId;
+      messages = historyData.messages || [];
+      cacheMessages(conversationId, messages);
+      hasMoreHistory =
+        historyData.has_more ?? messages.length >= HISTORY_PAGE_SIZE;
+      reconcileOutbox(messages, activeConversationId);
+      await resolveUsers(messages.map((m) => m.sender_id));
+      if (seq !== openSeq) return;
+      renderMessages();
+      scrollToBottom();
+      summarizeConversation(activeConversationId, messages);
+      markConversationRead(activeConversationId);
+      restoreDraft(activeConversationId);
+
+      // Listen for realtime events (no-op if already subscribed)
+      subscribeConversation(activeConversationId);
+      const { status, state } = GigaAPI.Realtime.getStatus(
+        activeConversationId,
+      );
+      updateConnectionStatus(status, state);
+    } catch (err) {
+      if (seq !== openSeq) return;
+      showToast("Failed to open conversation: " + err.message, "error");
+      if (messagesArea) {
+        messagesArea.innerHTML = `
+          <div class="chat-empty-state">
+            <div class="empty-icon">\u26A0\uFE0F</div>
+            <h3>Could not load conversation</h3>
+            <p>${escapeHtml(err.message)}</p>
+          </div>
+        `;
+      }
     }
   }
 
-  function autoResizeTextarea() {
-    if (!composerTextarea) return;
-    composerTextarea.style.height = "auto";
-    composerTextarea.style.height =
-      Math.min(composerTextarea.scrollHeight, 120) + "px";
+  // Back to the "Welcome" screen (e.g. after leaving the open group)
+  function closeConversation() {
+    openSeq++;
+    stopTyping();
+    cancelReply();
+    closeReactionPicker();
+    clearStagedAttachments();
+    activeConversationId = null;
+    activeFriendId = null;
+    activeGroupId = null;
+    messages = [];
+    renderTypingIndicator();
+    if (chatActiveArea) chatActiveArea.style.display = "none";
+    if (chatEmptyState) chatEmptyState.style.display = "";
   }
 
-  // ── Event binding ───────────────────────────────────────────────────
+  function updateConversationHeader(title) {
+    const group = activeGroupId ? groupConversations.get(activeGroupId) : null;
+    const heading = group ? group.name : title;
 
-  function bindEvents() {
-    // --- Composer ---
-    if (composerTextarea) {
-      composerTextarea.addEventListener("input", () => {
-        updateCharCount();
-        autoResizeTextarea();
-      });
+    if (chatHeaderTitle) {
+      chatHeaderTitle.innerHTML = `
+        <h2>${escapeHtml(heading)}</h2>
+        <div class="chat-header-tags">
+          <span class="chat-tag">${group ? "group" : "direct message"}</span>
+        </div>
+      `;
+    }
+    updateChatHeaderMeta();
+    if (btnGroupMembers) btnGroupMembers.hidden = !group;
+  }
 
-      composerTextarea.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" && !e.shiftKey) {
-          e.preventDefault();
-          sendMessage();
+  function updateChatHeaderMeta() {
+    if (!chatHeaderMeta) return;
+    const group = activeGroupId ? groupConversations.get(activeGroupId) : null;
+    if (group) {
+      chatHeaderMeta.textContent = `${group.members.length} members`;
+    } else if (activeFriendId) {
+      chatHeaderMeta.textContent = `1-on-1 conversation \u00b7 ${
+        PRESENCE_LABELS[getPresence(activeFriendId)]
+      }`;
+    } else {
+      chatHeaderMeta.textContent = "1-on-1 conversation";
+    }
+  }
+
+  // ── Realtime ────────────────────────────────────────────────────────
+
+  // Conversations we listen to: conversationId -> unsubscribe function
+  const subscriptions = new Map();
+
+  // Picks up conversations we aren't subscribed to yet (on load, and
+  // periodically so groups other people add us to show up)
+  async function loadConversations() {
+    let ids;
+    try {
+      const data = await GigaAPI.Conversations.list();
+      ids = (data.conversations || []).filter((id) => !subscriptions.has(id));
+    } catch {
+      // Background realtime is best-effort; open chats still subscribe
+      return;
+    }
+    if (ids.length === 0) return;
+
+    ids.forEach(subscribeConversation);
+
+    await Promise.all(
+      ids.map(async (conversationId) => {
+        try {
+          // Groups must be known before summarizing, or the first sender
+          // would be mistaken for the other side of a DM
+          const details = await GigaAPI.Conversations.get(conversationId);
+          if (rememberGroup(details, conversationId)) {
+            await resolveUsers(groupConversations.get(conversationId).members);
+          }
+        } catch {
+          // Without details, treat it as a DM
         }
-      });
+        try {
+          const data = await GigaAPI.Conversations.messages(conversationId, {
+            limit: HISTORY_PAGE_SIZE,
+          });
+          summarizeConversation(conversationId, data.messages || []);
+          cacheMessages(conversationId, data.messages || []);
+        } catch {
+          // Leave this conversation without a preview
+        }
+      }),
+    );
+    refreshFriendList();
+  }
 
-      // Enforce max length
-      composerTextarea.addEventListener("beforeinput", (e) => {
-        if (
-          e.data &&
-          composerTextarea.value.length + e.data.length > MAX_MESSAGE_LENGTH
-        ) {
-          e.preventDefault();
+  function subscribeConversation(conversationId) {
+    if (subscriptions.has(conversationId)) return;
+
+    const unsubscribe = GigaAPI.Realtime.subscribe(conversationId, {
+      onMessage(data) {
+        handleIncomingMessage(conversationId, data);
+      },
+
+      onBackfill(missed) {
+        if (conversationId === activeConversationId) {
+          mergeMessages(missed);
+        } else {
+          reconcileOutbox(missed, conversationId);
+        }
+        missed.forEach((m) => recordActivity(conversationId, m));
+        cacheMessages(conversationId, missed);
+
+        // Receipts are cumulative, so acknowledging the newest one is enough
+        const newest = missed
+          .filter((m) => m.id && m.sender_id !== currentUser.user_id)
+          .pop();
+        if (newest) {
+          GigaAPI.Realtime.sendEvent(conversationId, "delivered", {
+            message_id: newest.id,
+          });
+        }
+      },
+
+      onEvent(data) {
+        handleRealtimeEvent(conversationId, data);
+      },
+
+      onStatus(status, state) {
+        if (status === "connected") {
+          flushOutbox(conversationId);
+          // Let whoever is already here know we're around
+          GigaAPI.Realtime.sendEvent(conversationId, "presence", {
+            status: myPresence,
+          });
         }
+        if (conversationId === activeConversationId) {
+          updateConnectionStatus(status, state);
+        }
+      },
+    });
+
+    subscriptions.set(conversationId, unsubscribe);
+  }
+
+  function handleIncomingMessage(conversationId, data) {
+    // data = { sender_id, content, created_at }
+    if (!data || (!data.content && !data.attachments?.length)) return;
+
+    const newMsg = {
+      // Edits, deletes and receipts refer to the server id. Without one
+      // the message gets a local id and can't be referenced later.
+      id:
+        data.id ||
+        `${LOCAL_ID_PREFIX}${crypto.randomUUID ? crypto.randomUUID() : Date.now()}`,
+      conversation_id: conversationId,
+      sender_id: data.sender_id,
+      content: data.content || "",
+      reply_to: data.reply_to || null,
+      attachments: data.attachments || [],
+      created_at: data.created_at || new Date().toISOString(),
+    };
+    if (data.client_id) newMsg.client_id = data.client_id;
+
+    // Kept for history, but never shown, counted or acknowledged
+    if (isBlocked(newMsg.sender_id)) {
+      cacheMessages(conversationId, [newMsg]);
+      return;
+    }
+
+    resolveUsers([newMsg.sender_id]);
+    recordActivity(conversationId, newMsg);
+    cacheMessages(conversationId, [newMsg]);
+    notifyMessage(conversationId, newMsg);
+    // A message means they're done typing it
+    setTyping(conversationId, newMsg.sender_id, false);
+    if (data.id && newMsg.sender_id !== currentUser.user_id) {
+      GigaAPI.Realtime.sendEvent(conversationId, "delivered", {
+        message_id: data.id,
       });
     }
 
-    if (btnSend) {
-      btnSend.addEventListener("click", sendMessage);
+    if (conversationId !== activeConversationId) {
+      // A queued send finishing after we switched away
+      takePendingMatch(newMsg);
+      return;
     }
 
-    // --- Sidebar search ---
-    if (searchInput) {
-      searchInput.addEventListener("input", () => {
-        renderFriendList(searchInput.value);
-      });
+    if (hasMessage(newMsg)) return;
+    messages.push(newMsg);
+
+    // Our own message coming back confirms a pending send
+    if (confirmPending(newMsg)) return;
+
+    // Append only the new message instead of re-rendering everything
+    appendMessage(newMsg);
+    scrollToBottom(true); // smooth scroll for new messages
+  }
+
+  // Typed event frames from the socket
+  function handleRealtimeEvent(conversationId, data) {
+    // Edits and deletes also come back for our own messages (other tabs)
+    if (data.type === "message_edited") {
+      applyMessageEdit(conversationId, data);
+      return;
+    }
+    if (data.type === "message_deleted") {
+      applyMessageDelete(conversationId, data);
+      return;
+    }
+    if (data.type === "reaction") {
+      applyReaction(conversationId, data);
+      return;
     }
 
-    // --- Add Friend button ---
-    const btnAddFriend = document.getElementById("btn-add-friend");
-    if (btnAddFriend) {
-      btnAddFriend.addEventListener("click", () => openModal(addFriendModal));
+    if (!data.user_id || data.user_id === currentUser.user_id) return;
+
+    if (data.type === "typing") {
+      setTyping(conversationId, data.user_id, data.state === "start");
+    } else if (data.type === "delivered" || data.type === "read") {
+      applyReceipt(conversationId, data);
+    } else if (data.type === "presence") {
+      const wasOffline = getPresence(data.user_id) === "offline";
+      setPresence(data.user_id, data.status);
+      // They just showed up and can't know our status yet – answer them
+      if (wasOffline && data.status !== "offline") {
+        GigaAPI.Realtime.sendEvent(conversationId, "presence", {
+          status: myPresence,
+        });
+      }
     }
+  }
 
-    const btnAddFriendSection = document.getElementById(
-      "btn-add-friend-section",
-    );
-    if (btnAddFriendSection) {
-      btnAddFriendSection.addEventListener("click", () =>
-        openModal(addFriendModal),
-      );
+  // ── Typing indicators ───────────────────────────────────────────────
+
+  let typingConversationId = null; // where we last sent "start"
+  let typingLastSentAt = 0;
+  let typingIdleTimer = null;
+
+  // Called on composer input. Sends "start" (repeated now and then so it
+  // doesn't expire on the other end) and "stop" once the input goes idle.
+  function handleComposerTyping() {
+    if (!activeConversationId) return;
+    if (!composerTextarea.value.trim()) {
+      stopTyping();
+      return;
     }
 
-    // --- Settings button ---
-    const btnSettings = document.getElementById("btn-settings");
-    if (btnSettings) {
-      btnSettings.addEventListener("click", () => openSettingsModal());
+    if (typingConversationId && typingConversationId !== activeConversationId) {
+      stopTyping();
     }
 
-    // --- Modal close buttons ---
-    document.querySelectorAll(".modal-close").forEach((btn) => {
-      btn.addEventListener("click", () => {
-        const modal = btn.closest(".modal-overlay");
-        if (modal) closeModal(modal);
+    const now = Date.now();
+    if (
+      !typingConversationId ||
+      now - typingLastSentAt >= TYPING_REFRESH_INTERVAL
+    ) {
+      const sent = GigaAPI.Realtime.sendEvent(activeConversationId, "typing", {
+        state: "start",
       });
-    });
+      if (sent) {
+        typingConversationId = activeConversationId;
+        typingLastSentAt = now;
+      }
+    }
 
-    // Close modal on overlay click
-    document.querySelectorAll(".modal-overlay").forEach((overlay) => {
-      overlay.addEventListener("click", (e) => {
-        if (e.target === overlay) closeModal(overlay);
-      });
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+  }
+
+  function stopTyping() {
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = null;
+    if (!typingConversationId) return;
+
+    GigaAPI.Realtime.sendEvent(typingConversationId, "typing", {
+      state: "stop",
     });
+    typingConversationId = null;
+    typingLastSentAt = 0;
+  }
 
-    // --- Add Friend form ---
-    const addFriendForm = document.getElementById("add-friend-form");
-    if (addFriendForm) {
-      addFriendForm.addEventListener("submit", handleAddFriend);
+  function setTyping(conversationId, userId, isTyping) {
+    let typers = typingUsers.get(conversationId);
+    if (!typers) {
+      if (!isTyping) return;
+      typers = new Map();
+      typingUsers.set(conversationId, typers);
     }
 
-    // --- Settings form (profile edit) ---
-    const settingsForm = document.getElementById("settings-form");
-    if (settingsForm) {
-      settingsForm.addEventListener("submit", handleEditProfile);
+    clearTimeout(typers.get(userId));
+    if (isTyping) {
+      // Drop them if the "stop" never arrives (closed tab, lost connection)
+      typers.set(
+        userId,
+        setTimeout(
+          () => setTyping(conversationId, userId, false),
+          TYPING_EXPIRE_TIMEOUT,
+        ),
+      );
+      if (!knownUsers.has(userId)) {
+        resolveUsers([userId]).then(() => {
+          if (conversationId === activeConversationId) renderTypingIndicator();
+        });
+      }
+    } else if (!typers.delete(userId)) {
+      return;
     }
 
-    // --- Logout ---
-    const btnLogout = document.getElementById("btn-logout");
-    if (btnLogout) {
-      btnLogout.addEventListener("click", handleLogout);
+    if (conversationId === activeConversationId) renderTypingIndicator();
+  }
+
+  function renderTypingIndicator() {
+    if (!typingIndicator) return;
+
+    const typers = activeConversationId
+      ? typingUsers.get(activeConversationId)
+      : null;
+    const names = typers ? [...typers.keys()].map(getUserName) : [];
+
+    if (names.length === 0) {
+      typingIndicator.classList.remove("visible");
+      typingIndicator.innerHTML = "";
+      return;
     }
 
-    // --- View My Profile ---
-    const btnViewProfile = document.getElementById("btn-view-profile");
-    if (btnViewProfile) {
-      btnViewProfile.addEventListener("click", () => {
-        closeModal(settingsModal);
-        openProfileModal();
-      });
+    let text;
+    if (names.length === 1) {
+      text = `${names[0]} is typing\u2026`;
+    } else if (names.length === 2) {
+      text = `${names[0]} and ${names[1]} are typing\u2026`;
+    } else {
+      text = "Several people are typing\u2026";
     }
 
-    // --- Workspace header click -> open profile ---
-    const wsHeader = document.querySelector(".workspace-header");
-    if (wsHeader) {
-      wsHeader.style.cursor = "pointer";
-      wsHeader.addEventListener("click", openProfileModal);
+    typingIndicator.innerHTML = `
+      <div class="typing-dots"><span></span><span></span><span></span></div>
+      <span>${escapeHtml(text)}</span>
+    `;
+    typingIndicator.classList.add("visible");
+  }
+
+  // ── Presence ────────────────────────────────────────────────────────
+
+  let myPresence = "online";
+  let lastInputAt = Date.now();
+
+  function getPresence(userId) {
+    const entry = presence.get(userId);
+    if (!entry || Date.now() - entry.at > PRESENCE_EXPIRE_TIMEOUT) {
+      return "offline";
     }
+    return entry.status;
+  }
 
-    // --- Mobile sidebar toggle ---
-    const btnMobileMenu = document.getElementById("btn-mobile-menu");
-    const sidebar = document.querySelector(".sidebar");
-    const backdrop = document.querySelector(".sidebar-backdrop");
+  function setPresence(userId, status) {
+    if (!PRESENCE_LABELS[status]) return;
+    const previous = getPresence(userId);
+    presence.set(userId, { status, at: Date.now() });
+    if (status !== previous) updatePresenceDots(userId);
+  }
 
-    if (btnMobileMenu && sidebar) {
-      btnMobileMenu.addEventListener("click", () => {
-        sidebar.classList.toggle("open");
-        backdrop?.classList.toggle("visible");
+  // Patch the dots in place rather than re-rendering the friend list
+  function updatePresenceDots(userId) {
+    const status = getPresence(userId);
+    document
+      .querySelectorAll(`.presence-dot[data-user-id="${CSS.escape(userId)}"]`)
+      .forEach((dot) => {
+        dot.className = `presence-dot ${status}`;
+        dot.title = PRESENCE_LABELS[status];
       });
+    if (userId === activeFriendId) updateChatHeaderMeta();
+  }
+
+  function computeOwnPresence() {
+    const idle = Date.now() - lastInputAt >= AWAY_TIMEOUT;
+    return document.visibilityState === "visible" && !idle ? "online" : "away";
+  }
+
+  function announcePresence(status) {
+    myPresence = status;
+    GigaAPI.Realtime.broadcastEvent("presence", { status });
+  }
+
+  function updateOwnPresence() {
+    const status = computeOwnPresence();
+    if (status !== myPresence) announcePresence(status);
+  }
+
+  function noteUserActivity() {
+    lastInputAt = Date.now();
+    if (myPresence === "away") updateOwnPresence();
+  }
+
+  // Re-announce regularly so others' entries don't expire, and so we
+  // flip to away after AWAY_TIMEOUT without any input
+  function presenceHeartbeat() {
+    announcePresence(computeOwnPresence());
+  }
+
+  // ── Message search ──────────────────────────────────────────────────
+  // The backend searches everything; if it can't (older server, offline)
+  // we fall back to the history this page has already loaded.
+
+  let messageSearchSeq = 0; // ignores responses to outdated queries
+
+  // Keep messages for search, and persist them for the next (or an
+  // offline) visit
+  function cacheMessages(conversationId, list) {
+    indexMessages(conversationId, list);
+    GigaStore.saveMessages(
+      conversationId,
+      list.map((msg) => ({ ...msg, conversation_id: conversationId })),
+    );
+  }
+
+  function indexMessages(conversationId, list) {
+    let cached = historyCache.get(conversationId);
+    if (!cached) {
+      cached = new Map();
+      historyCache.set(conversationId, cached);
     }
+    list.forEach((msg) => {
+      if (msg.id) {
+        cached.set(msg.id, { ...msg, conversation_id: conversationId });
+      }
+    });
+  }
 
-    if (backdrop) {
-      backdrop.addEventListener("click", () => {
-        sidebar?.classList.remove("open");
-        backdrop.classList.remove("visible");
+  function getSearchTerms(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  // Every term must appear somewhere in the message
+  function searchCachedHistory(query) {
+    const terms = getSearchTerms(query);
+    const results = [];
+    historyCache.forEach((cached) => {
+      cached.forEach((msg) => {
+        if (msg.deleted || !msg.content) return;
+        const text = msg.content.toLowerCase();
+        if (terms.every((t) => text.includes(t))) results.push(msg);
+      });
+    });
+    return results
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, MESSAGE_SEARCH_LIMIT);
+  }
+
+  async function searchMessages(query) {
+    const seq = ++messageSearchSeq;
+    query = query.trim();
+    if (query.length < MESSAGE_SEARCH_MIN_LENGTH) return;
+
+    messageSearchSection.hidden = false;
+    messageSearchResultsEl.innerHTML = '<div class="loading-spinner"></div>';
+
+    let results;
+    let fromCache = false;
+    try {
+      const data = await GigaAPI.Conversations.search(query, {
+        limit: MESSAGE_SEARCH_LIMIT,
+      });
+      results = (data && data.messages) || [];
+    } catch {
+      results = searchCachedHistory(query);
+      fromCache = true;
+    }
+    if (seq !== messageSearchSeq) return;
+
+    results = results.filter((m) => !isBlocked(m.sender_id));
+    await resolveUsers(results.map((m) => m.sender_id));
+    if (seq !== messageSearchSeq) return;
+
+    renderMessageSearchResults(query, results, fromCache);
+  }
+
+  function clearMessageSearch() {
+    messageSearchSeq++;
+    if (messageSearchSection) messageSearchSection.hidden = true;
+    if (messageSearchResultsEl) messageSearchResultsEl.innerHTML = "";
+  }
+
+  function renderMessageSearchResults(query, results, fromCache) {
+    const note = fromCache
+      ? '<div class="search-results-note">Showing matches from recently loaded messages.</div>'
+      : "";
+
+    if (results.length === 0) {
+      messageSearchResultsEl.innerHTML = `
+        ${note}
+        <div class="search-results-empty">No messages match "${escapeHtml(query)}".</div>
+      `;
+      return;
+    }
+
+    messageSearchResultsEl.innerHTML =
+      note +
+      results
+        .map((msg) => {
+          const sender =
+            msg.sender_id === currentUser.user_id
+              ? "You"
+              : getUserName(msg.sender_id);
+          return `
+            <button type="button" class="search-result"
+                    data-conversation-id="${escapeHtml(msg.conversation_id)}"
+                    data-message-id="${escapeHtml(msg.id)}">
+              <span class="search-result-header">
+                <span class="search-result-title">${escapeHtml(
+                  getConversationLabel(msg.conversation_id),
+                )}</span>
+                <span class="search-result-time">${formatRelativeTime(msg.created_at)}</span>
+              </span>
+              <span class="search-result-snippet"><b>${escapeHtml(sender)}:</b> ${buildSnippetHtml(
+                msg.content,
+                query,
+              )}</span>
+            </button>
+          `;
+        })
+        .join("");
+  }
+
+  // A window of text around the first match, with every match marked
+  function buildSnippetHtml(content, query) {
+    const terms = getSearchTerms(query);
+    const lower = content.toLowerCase();
+    const first = Math.min(
+      ...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0),
+    );
+
+    let start = 0;
+    let end = content.length;
+    if (isFinite(first)) {
+      start = Math.max(0, first - SEARCH_SNIPPET_CONTEXT);
+      end = Math.min(content.length, first + SEARCH_SNIPPET_CONTEXT * 2);
+    }
+    const text = content.slice(start, end);
+
+    // Split on the terms so matches and the text between them are escaped
+    // separately; odd parts of the split are the matches
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+    const html = text
+      .split(pattern)
+      .map((part, i) =>
+        i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part),
+      )
+      .join("");
+
+    const before = start > 0 ? "\u2026" : "";
+    const after = end < content.length ? "\u2026" : "";
+    return `${before}${html}${after}`;
+  }
+
+  function getConversationLabel(conversationId) {
+    const group = groupConversations.get(conversationId);
+    if (group) return group.name;
+    const friendId = getSummary(conversationId).friendId;
+    return friendId ? getUserName(friendId) : "Conversation";
+  }
+
+  async function openSearchResult(conversationId, messageId) {
+    if (!(await openConversationById(conversationId))) return;
+    if (conversationId === activeConversationId) scrollToMessage(messageId);
+  }
+
+  // ── Conversation activity (previews + unread counts) ────────────────
+
+  function getSummary(conversationId) {
+    let summary = conversationSummaries.get(conversationId);
+    if (!summary) {
+      summary = {
+        friendId: dmConversations[conversationId] || null,
+        isGroup: groupConversations.has(conversationId),
+        lastMessage: null,
+        unread: 0,
+      };
+      conversationSummaries.set(conversationId, summary);
+    }
+    return summary;
+  }
+
+  function getFriendSummary(friendId) {
+    for (const summary of conversationSummaries.values()) {
+      if (summary.friendId === friendId) return summary;
+    }
+    return null;
+  }
+
+  function findDmConversation(friendId) {
+    return Object.keys(dmConversations).find(
+      (conversationId) => dmConversations[conversationId] === friendId,
+    );
+  }
+
+  function rememberDmFriend(conversationId, friendId) {
+    getSummary(conversationId).friendId = friendId;
+    if (dmConversations[conversationId] === friendId) return;
+    dmConversations[conversationId] = friendId;
+    writeStorage(DM_MAP_STORAGE_KEY, dmConversations);
+  }
+
+  // Rebuild a conversation's summary from its (chronological) history
+  function summarizeConversation(conversationId, list) {
+    const summary = getSummary(conversationId);
+
+    if (!summary.friendId && !summary.isGroup) {
+      const other = list.find(
+        (m) => m.sender_id && m.sender_id !== currentUser.user_id,
+      );
+      if (other) rememberDmFriend(conversationId, other.sender_id);
+    }
+
+    const visible = list.filter((m) => !isBlocked(m.sender_id));
+    const last = visible[visible.length - 1] || null;
+    summary.lastMessage = last;
+
+    // First time we see this conversation: don't flag old history as unread
+    if (!readMarkers[conversationId] && last) {
+      setReadMarker(conversationId, last.created_at);
+    }
+
+    const marker = new Date(readMarkers[conversationId] || 0);
+    summary.unread = visible.filter(
+      (m) =>
+        m.sender_id !== currentUser.user_id && new Date(m.created_at) > marker,
+    ).length;
+  }
+
+  // A new message arrived (live or via backfill) in any conversation
+  function recordActivity(conversationId, msg) {
+    const summary = getSummary(conversationId);
+
+    if (
+      !summary.lastMessage ||
+      new Date(msg.created_at) >= new Date(summary.lastMessage.created_at)
+    ) {
+      summary.lastMessage = msg;
+    }
+
+    if (
+      !summary.friendId &&
+      !summary.isGroup &&
+      msg.sender_id !== currentUser.user_id
+    ) {
+      rememberDmFriend(conversationId, msg.sender_id);
+    }
+
+    if (msg.sender_id !== currentUser.user_id) {
+      if (isViewing(conversationId)) {
+        setReadMarker(conversationId, msg.created_at);
+      } else {
+        summary.unread++;
+      }
+    }
+
+    refreshFriendList();
+  }
+
+  function markConversationRead(conversationId) {
+    const summary = getSummary(conversationId);
+    summary.unread = 0;
+    if (summary.lastMessage) {
+      setReadMarker(conversationId, summary.lastMessage.created_at);
+    }
+    refreshFriendList();
+  }
+
+  function setReadMarker(conversationId, createdAt) {
+    const current = readMarkers[conversationId];
+    if (current && new Date(current) >= new Date(createdAt)) return;
+    readMarkers[conversationId] = createdAt;
+    writeStorage(READ_MARKERS_STORAGE_KEY, readMarkers);
+  }
+
+  // The conversation is open and the user can actually see it
+  function isViewing(conversationId) {
+    return (
+      conversationId === activeConversationId &&
+      document.visibilityState === "visible"
+    );
+  }
+
+  // Most recent activity first; friends we never talked to keep their order
+  function compareFriendActivity(a, b) {
+    return compareActivity(
+      getFriendSummary(a.friend_id),
+      getFriendSummary(b.friend_id),
+    );
+  }
+
+  function compareActivity(summaryA, summaryB) {
+    const lastA = summaryA?.lastMessage;
+    const lastB = summaryB?.lastMessage;
+    if (!lastA && !lastB) return 0;
+    if (!lastA) return 1;
+    if (!lastB) return -1;
+    return new Date(lastB.created_at) - new Date(lastA.created_at);
+  }
+
+  function refreshFriendList() {
+    const filter = searchInput ? searchInput.value : "";
+    renderFriendList(filter);
+    renderGroupList(filter);
+    updateTitleBadge();
+  }
+
+  // Ticks the "Reconnecting in Ns" countdown while waiting on backoff
+  let reconnectCountdownTimer = null;
+
+  function updateConnectionStatus(status, state = {}) {
+    if (!connectionStatus) return;
+
+    clearInterval(reconnectCountdownTimer);
+    reconnectCountdownTimer = null;
+    connectionStatus.className = "connection-status";
+
+    if (status === "connected") {
+      connectionStatus.innerHTML = "";
+    } else if (status === "offline") {
+      connectionStatus.classList.add("disconnected");
+      connectionStatus.innerHTML = `
+        <span class="status-dot-indicator"></span>
+        You\u2019re offline. Showing cached messages \u2014 sending is disabled.
+        <button type="button" class="connection-retry">Retry now</button>
+      `;
+      connectionStatus
+        .querySelector(".connection-retry")
+        .addEventListener("click", () => window.location.reload());
+    } else if (status === "disconnected") {
+      connectionStatus.classList.add("disconnected");
+      connectionStatus.innerHTML = `
+        <span class="status-dot-indicator"></span>
+        Disconnected. Messages may not be delivered.
+      `;
+    } else if (status === "connecting") {
+      connectionStatus.classList.add("reconnecting");
+      connectionStatus.innerHTML = `
+        <span class="status-dot-indicator"></span>
+        Connecting\u2026
+      `;
+    } else if (status === "reconnecting") {
+      connectionStatus.classList.add("reconnecting");
+      connectionStatus.innerHTML = `
+        <span class="status-dot-indicator"></span>
+        <span class="connection-status-text"></span>
+        <button type="button" class="connection-retry">Retry now</button>
+      `;
+      connectionStatus
+        .querySelector(".connection-retry")
+        .addEventListener("click", () => {
+          GigaAPI.Realtime.reconnect(activeConversationId);
+        });
+
+      const textEl = connectionStatus.querySelector(".connection-status-text");
+      const tick = () => {
+        const secondsLeft = Math.max(
+          0,
+          Math.ceil((state.retryAt - Date.now()) / 1000),
+        );
+        textEl.textContent =
+          secondsLeft > 0
+            ? `Connection lost. Reconnecting in ${secondsLeft}s (attempt ${state.attempt})\u2026`
+            : `Reconnecting (attempt ${state.attempt})\u2026`;
+        if (secondsLeft === 0) {
+          clearInterval(reconnectCountdownTimer);
+          reconnectCountdownTimer = null;
+        }
+      };
+      tick();
+      reconnectCountdownTimer = setInterval(tick, 1000);
+    }
+  }
+
+  // ── Messages rendering ──────────────────────────────────────────────
+
+  function renderMessages() {
+    if (!messagesArea) return;
+
+    const pending = getPendingMessages(activeConversationId);
+
+    if (messages.length === 0 && pending.length === 0 && !hasMoreHistory) {
+      resetVirtualList();
+      messagesArea.innerHTML = `
+        <div class="message-system">
+          <span class="system-text">This is the beginning of your conversation. Say hi! \u{1F44B}</span>
+        </div>
+      `;
+      return;
+    }
+
+    // A freshly built list starts at the newest message
+    const keepBottom = !isListMounted() || isScrolledToBottom();
+    ensureListSkeleton();
+    invalidateRows();
+    renderHistoryStatus();
+    updateVirtualList({ keepBottom });
+  }
+
+  // Build HTML for a single message (used by both renderMessages and appendMessage).
+  // A date separator is prepended when `prevMsg` is missing or on another day.
+  function buildMessageHtml(msg, prevMsg) {
+    const isSelf = msg.sender_id === currentUser.user_id;
+    const senderName = isSelf ? "You" : getUserName(msg.sender_id);
+    const initial = senderName.charAt(0).toUpperCase();
+    const color = isSelf
+      ? AVATAR_COLORS[3] // navy for self
+      : getAvatarColor(msg.sender_id);
+    const time = formatTime(msg.created_at);
+    const side = isSelf ? "self" : "other";
+
+    let html = "";
+
+    // Show date separator if needed
+    if (!prevMsg || isDifferentDay(prevMsg.created_at, msg.created_at)) {
+      const dateStr = formatDate(msg.created_at);
+      html += `<div class="date-separator"><span>${dateStr}</span></div>`;
+    }
+
+    html += `
+      <div class="message ${side}${msg.status === "sending" || msg.status === "failed" ? " pending" : ""}" data-msg-id="${msg.id}" data-sender-id="${msg.sender_id}">
+        <div class="message-avatar" style="background:${color}">
+          ${initial}${buildAvatarImg(getAvatarUrl(msg.sender_id))}
+        </div>
+        <div class="message-body">
+          <div class="message-header">
+            <span class="message-sender"${
+              isSelf ? "" : ` style="color:${color}"`
+            }>${escapeHtml(senderName)}</span>
+            <span class="message-time">${time}</span>
+            ${
+              msg.edited_at && !msg.deleted
+                ? `<span class="message-edited" title="Edited ${formatTime(msg.edited_at)}">(edited)</span>`
+                : ""
+            }
+          </div>
+          ${msg.reply_to && !msg.deleted ? buildQuoteHtml(msg) : ""}
+          ${buildMessageContentHtml(msg)}
+          ${msg.deleted ? "" : buildReactionsHtml(msg)}
+          ${isSelf && !msg.deleted ? buildMessageStatusHtml(msg) : ""}
+        </div>
+        ${buildMessageActionsHtml(msg)}
+      </div>
+    `;
+
+    return html;
+  }
+
+  function buildMessageContentHtml(msg) {
+    if (msg.deleted) {
+      return `<div class="message-bubble deleted">This message was deleted</div>`;
+    }
+    if (msg.id === editingMessageId) {
+      return `
+        <form class="message-edit-form">
+          <textarea class="message-edit-input" rows="2"
+                    maxlength="${MAX_MESSAGE_LENGTH}">${escapeHtml(msg.content)}</textarea>
+          <div class="message-edit-actions">
+            <span class="message-edit-hint">Esc to cancel \u00B7 Enter to save</span>
+            <button type="button" class="message-edit-cancel">Cancel</button>
+            <button type="submit" class="message-edit-save">Save</button>
+          </div>
+        </form>
+      `;
+    }
+    const text = msg.content
+      ? `<div class="message-bubble">${GigaFormat.formatMessage(
+          msg.content,
+        )}</div>`
+      : "";
+    return text + buildAttachmentsHtml(msg.attachments);
+  }
+
+  const COPY_FEEDBACK_DURATION = 1500; // ms the "Copied!" label stays
+
+  async function copyCodeBlock(button) {
+    const code = button.closest(".code-block")?.querySelector("code");
+    if (!code) return;
+    try {
+      await navigator.clipboard.writeText(code.textContent);
+      button.textContent = "Copied!";
+      setTimeout(() => {
+        button.textContent = "Copy";
+      }, COPY_FEEDBACK_DURATION);
+    } catch {
+      showToast("Couldn't copy to the clipboard.", "error");
+    }
+  }
+
+  // Hover toolbar with what can be done to a message
+  function buildMessageActionsHtml(msg) {
+    const actions = [];
+    if (canReference(msg)) {
+      actions.push(
+        `<button type="button" class="message-action" data-action="react" title="React" aria-label="Add reaction">\u{1F642}</button>`,
+        `<button type="button" class="message-action" data-action="reply" title="Reply" aria-label="Reply to message">\u21A9</button>`,
+      );
+    }
+    if (canModifyMessage(msg) && msg.id !== editingMessageId) {
+      actions.push(
+        `<button type="button" class="message-action" data-action="edit" title="Edit" aria-label="Edit message">\u270E</button>`,
+        `<button type="button" class="message-action" data-action="delete" title="Delete" aria-label="Delete message">\u{1F5D1}</button>`,
+      );
+    }
+    return actions.length
+      ? `<div class="message-actions">${actions.join("")}</div>`
+      : "";
+  }
+
+  // Show a message that was just added to `messages` or the outbox
+  // (no full re-render – it only gets a DOM node if it's near the viewport)
+  function appendMessage(msg) {
+    if (!messagesArea) return;
+
+    animateRows.add(msg.id);
+    if (!isListMounted()) {
+      // Replaces the "Say hi" system message with the list
+      renderMessages();
+      return;
+    }
+    updateVirtualList();
+  }
+
+  function scrollToBottom(smooth = false) {
+    if (!messagesArea) return;
+    requestAnimationFrame(() => {
+      if (smooth) {
+        messagesArea.scrollTo({
+          top: messagesArea.scrollHeight,
+          behavior: "smooth",
+        });
+      } else if (isListMounted()) {
+        updateVirtualList({ keepBottom: true });
+      } else {
+        messagesArea.scrollTop = messagesArea.scrollHeight;
+      }
+    });
+  }
+
+  // ── Editing and deleting messages ───────────────────────────────────
+
+  const LOCAL_ID_PREFIX = "local-"; // ids we made up for id-less socket frames
+
+  let editingMessageId = null;
+
+  // Confirmed, not deleted, and known to the server by id – so replies,
+  // reactions and edits can point at it
+  function canReference(msg) {
+    return (
+      !msg.deleted &&
+      msg.status !== "sending" &&
+      msg.status !== "failed" &&
+      !String(msg.id).startsWith(LOCAL_ID_PREFIX)
+    );
+  }
+
+  function canModifyMessage(msg) {
+    return msg.sender_id === currentUser.user_id && canReference(msg);
+  }
+
+  function getPreviewText(msg) {
+    if (msg.deleted) return "Message deleted";
+    if (msg.content) return msg.content;
+    const files = msg.attachments || [];
+    if (files.length === 0) return "";
+    if (files.every((a) => IMAGE_TYPES.includes(a.content_type))) {
+      return files.length > 1
+        ? `\u{1F4F7} ${files.length} photos`
+        : "\u{1F4F7} Photo";
+    }
+    return files.length > 1
+      ? `\u{1F4CE} ${files.length} files`
+      : `\u{1F4CE} ${files[0].name}`;
+  }
+
+  function handleMessageAction(action, messageId, anchor) {
+    const msg = messages.find((m) => m.id === messageId);
+    if (!msg) return;
+
+    if (action === "reply" || action === "react") {
+      if (!canReference(msg)) return;
+      if (action === "reply") startReply(msg);
+      else openReactionPicker(msg.id, anchor);
+      return;
+    }
+
+    if (!canModifyMessage(msg)) return;
+    if (action === "edit") startEditing(msg);
+    else if (action === "delete") handleDeleteMessage(msg);
+  }
+
+  function startEditing(msg) {
+    const previous = editingMessageId;
+    editingMessageId = msg.id;
+    if (previous) removeRow(previous);
+    refreshRow(msg.id);
+
+    const input = renderedRows.get(msg.id)?.querySelector(".message-edit-input");
+    if (input) {
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+    }
+  }
+
+  function stopEditing() {
+    const id = editingMessageId;
+    if (!id) return;
+    editingMessageId = null;
+    refreshRow(id);
+  }
+
+  async function handleSaveEdit(form) {
+    const msg = messages.find((m) => m.id === editingMessageId);
+    if (!msg) return;
+
+    const input = form.querySelector(".message-edit-input");
+    const content = input.value.trim();
+    if (content === msg.content) {
+      stopEditing();
+      return;
+    }
+    if (!content && !msg.attachments?.length) {
+      showToast("A message can't be empty. Delete it instead.", "error");
+      return;
+    }
+
+    const conversationId = activeConversationId;
+    form.querySelectorAll("textarea, button").forEach((el) => {
+      el.disabled = true;
+    });
+
+    try {
+      const updated = await GigaAPI.Conversations.editMessage(
+        conversationId,
+        msg.id,
+        content,
+      );
+      editingMessageId = null;
+      applyMessageEdit(conversationId, {
+        message_id: msg.id,
+        content: (updated && updated.content) || content,
+        edited_at: (updated && updated.edited_at) || new Date().toISOString(),
+      });
+    } catch (err) {
+      showToast("Failed to edit message: " + err.message, "error");
+      form.querySelectorAll("textarea, button").forEach((el) => {
+        el.disabled = false;
       });
+      input.focus();
+    }
+  }
+
+  async function handleDeleteMessage(msg) {
+    if (!confirm("Delete this message for everyone?")) return;
+
+    const conversationId = activeConversationId;
+    try {
+      await GigaAPI.Conversations.deleteMessage(conversationId, msg.id);
+      applyMessageDelete(conversationId, {
+        message_id: msg.id,
+        deleted_at: new Date().toISOString(),
+      });
+    } catch (err) {
+      showToast("Failed to delete message: " + err.message, "error");
+    }
+  }
+
+  // An edit made here, in another tab, or by the sender (socket event)
+  function applyMessageEdit(conversationId, data) {
+    const copies = findMessageCopies(conversationId, data.message_id).filter(
+      (m) => !m.deleted,
+    );
+    if (copies.length === 0) return;
+
+    copies.forEach((msg) => {
+      msg.content = data.content;
+      msg.edited_at = data.edited_at || new Date().toISOString();
+    });
+    saveCachedMessage(conversationId, data.message_id);
+    // Don't throw away what's being typed into our own edit box
+    if (data.message_id !== editingMessageId) refreshRow(data.message_id);
+    refreshFriendList();
+  }
+
+  function applyMessageDelete(conversationId, data) {
+    const copies = findMessageCopies(conversationId, data.message_id);
+    if (copies.length === 0) return;
+
+    copies.forEach((msg) => {
+      msg.deleted = true;
+      msg.deleted_at = data.deleted_at || new Date().toISOString();
+      msg.content = "";
+    });
+    saveCachedMessage(conversationId, data.message_id);
+    if (data.message_id === editingMessageId) editingMessageId = null;
+    refreshRow(data.message_id);
+    refreshFriendList();
+  }
+
+  // The open chat's copy of a message, the sidebar preview's and the
+  // search cache's (they aren't always the same object)
+  function findMessageCopies(conversationId, messageId) {
+    const copies = new Set();
+    if (!messageId) return [];
+    if (conversationId === activeConversationId) {
+      const msg = messages.find((m) => m.id === messageId);
+      if (msg) copies.add(msg);
+    }
+    const last = conversationSummaries.get(conversationId)?.lastMessage;
+    if (last && last.id === messageId) copies.add(last);
+    const cached = historyCache.get(conversationId)?.get(messageId);
+    if (cached) copies.add(cached);
+    return [...copies];
+  }
+
+  // ── Reactions ───────────────────────────────────────────────────────
+  // Reactions travel as socket events:
+  //   { type: "reaction", message_id, emoji, action: "add" | "remove" }
+  // The server relays them to everyone (with `user_id`) and keeps them on
+  // the message as `reactions` (emoji -> [user_id]). Chips are patched in
+  // place, so reacting never rebuilds the list.
+
+  const REACTION_EMOJIS = [
+    "\u{1F44D}", // thumbs up
+    "\u2764\uFE0F", // heart
+    "\u{1F602}", // tears of joy
+    "\u{1F62E}", // open mouth
+    "\u{1F622}", // crying
+    "\u{1F64F}", // folded hands
+  ];
+  const LONG_PRESS_DELAY = 500; // ms a touch must be held to open the picker
+
+  let reactionPicker = null; // the open picker element, if any
+  let longPressTimer = null;
+
+  function buildReactionsHtml(msg) {
+    const entries = Object.entries(msg.reactions || {}).filter(
+      ([, users]) => users.length > 0,
+    );
+    if (entries.length === 0) return "";
+
+    const chips = entries.map(([emoji, users]) => {
+      const mine = users.includes(currentUser.user_id);
+      const names = users.map((id) =>
+        id === currentUser.user_id ? "You" : getUserName(id),
+      );
+      return `
+        <button type="button" class="reaction-chip${mine ? " mine" : ""}"
+                data-emoji="${escapeHtml(emoji)}"
+                title="${escapeHtml(names.join(", "))}"
+                aria-pressed="${mine}">
+          <span>${escapeHtml(emoji)}</span>
+          <span class="reaction-count">${users.length}</span>
+        </button>
+      `;
+    });
+    return `<div class="message-reactions">${chips.join("")}</div>`;
+  }
+
+  // Swap a message's chips without touching the rest of its row
+  function updateReactionChips(messageId) {
+    const msg = messages.find((m) => m.id === messageId);
+    const row = renderedRows.get(messageId);
+    if (!msg || !row) return;
+
+    const body = row.querySelector(".message-body");
+    body.querySelector(".message-reactions")?.remove();
+    const html = buildReactionsHtml(msg);
+    if (html) {
+      const anchor =
+        body.querySelector(".message-bubble, .message-edit-form") ||
+        body.lastElementChild;
+      anchor.insertAdjacentHTML("afterend", html);
+    }
+    // The row may have grown or shrunk
+    updateVirtualList();
+  }
+
+  function toggleReaction(messageId, emoji) {
+    const msg = messages.find((m) => m.id === messageId);
+    if (!msg || !canReference(msg)) return;
+
+    const users = (msg.reactions && msg.reactions[emoji]) || [];
+    const action = users.includes(currentUser.user_id) ? "remove" : "add";
+    const sent = GigaAPI.Realtime.sendEvent(activeConversationId, "reaction", {
+      message_id: messageId,
+      emoji,
+      action,
+    });
+    if (!sent) {
+      showToast("You're offline \u2013 try again once reconnected.", "error");
+      return;
+    }
+
+    applyReaction(activeConversationId, {
+      message_id: messageId,
+      emoji,
+      action,
+      user_id: currentUser.user_id,
+    });
+  }
+
+  // Idempotent, so our own echo from the server is harmless
+  function applyReaction(conversationId, data) {
+    if (conversationId !== activeConversationId) return;
+    if (!data.message_id || !data.emoji || !data.user_id) return;
+
+    const msg = messages.find((m) => m.id === data.message_id);
+    if (!msg) return;
+
+    const reactions = { ...msg.reactions };
+    const users = (reactions[data.emoji] || []).filter(
+      (id) => id !== data.user_id,
+    );
+    if (data.action !== "remove") users.push(data.user_id);
+
+    if (users.length) reactions[data.emoji] = users;
+    else delete reactions[data.emoji];
+    msg.reactions = reactions;
+
+    updateReactionChips(msg.id);
+  }
+
+  function openReactionPicker(messageId, anchor) {
+    closeReactionPicker();
+
+    reactionPicker = document.createElement("div");
+    reactionPicker.className = "reaction-picker";
+    reactionPicker.setAttribute("role", "menu");
+    reactionPicker.innerHTML = REACTION_EMOJIS.map(
+      (emoji) => `
+        <button type="button" class="reaction-option" role="menuitem"
+                data-emoji="${emoji}" aria-label="React with ${emoji}">${emoji}</button>
+      `,
+    ).join("");
+    reactionPicker.addEventListener("click", (e) => {
+      const option = e.target.closest(".reaction-option");
+      if (!option) return;
+      toggleReaction(messageId, option.dataset.emoji);
+      closeReactionPicker();
+    });
+    document.body.appendChild(reactionPicker);
+
+    // Above the anchor if there's room, otherwise below; kept on screen
+    const rect = anchor.getBoundingClientRect();
+    const size = reactionPicker.getBoundingClientRect();
+    let top = rect.top - size.height - 6;
+    if (top < 8) top = rect.bottom + 6;
+    const left = Math.min(
+      Math.max(8, rect.left + rect.width / 2 - size.width / 2),
+      window.innerWidth - size.width - 8,
+    );
+    reactionPicker.style.top = `${top}px`;
+    reactionPicker.style.left = `${left}px`;
+
+    reactionPicker.querySelector(".reaction-option")?.focus();
+  }
+
+  function closeReactionPicker() {
+    if (!reactionPicker) return;
+    reactionPicker.remove();
+    reactionPicker = null;
+  }
+
+  // Touch screens have no hover toolbar worth aiming at – hold a message
+  function handleLongPressStart(e) {
+    if (e.pointerType !== "touch") return;
+    const msgEl = e.target.closest(".message");
+    if (!msgEl || e.target.closest("button, textarea")) return;
+
+    clearTimeout(longPressTimer);
+    longPressTimer = setTimeout(() => {
+      const msg = messages.find((m) => m.id === msgEl.dataset.msgId);
+      if (!msg || !canReference(msg)) return;
+      openReactionPicker(
+        msg.id,
+        msgEl.querySelector(".message-bubble") || msgEl,
+      );
+    }, LONG_PRESS_DELAY);
+  }
+
+  function cancelLongPress() {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  }
+
+  // ── Attachments ─────────────────────────────────────────────────────
+  // Files are uploaded as soon as they're picked, dropped or pasted, and
+  // sent (by id) with the next message once every upload has finished.
+
+  // { key, file, status: "uploading" | "done" | "failed", progress,
+  //   meta, controller, previewUrl }
+  let stagedAttachments = [];
+
+  function isUploading() {
+    return stagedAttachments.some((s) => s.status === "uploading");
+  }
+
+  function validateAttachment(file) {
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(file.type)) {
+      return `"${file.name}" isn't a supported file type.`;
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      return `"${file.name}" is larger than ${formatFileSize(
+        MAX_ATTACHMENT_SIZE,
+      )}.`;
+    }
+    return null;
+  }
+
+  function stageFiles(files) {
+    if (!activeConversationId) return;
+
+    for (const file of files) {
+      if (stagedAttachments.length >= MAX_ATTACHMENTS) {
+        showToast(
+          `You can attach up to ${MAX_ATTACHMENTS} files per message.`,
+          "error",
+        );
+        break;
+      }
+      const error = validateAttachment(file);
+      if (error) {
+        showToast(error, "error");
+        continue;
+      }
+
+      const staged = {
+        key: crypto.randomUUID
+          ? crypto.randomUUID()
+          : `${Date.now()}-${file.name}`,
+        file,
+        status: "uploading",
+        progress: 0,
+        meta: null,
+        controller: null,
+        previewUrl: IMAGE_TYPES.includes(file.type)
+          ? URL.createObjectURL(file)
+          : null,
+      };
+      stagedAttachments.push(staged);
+      uploadStaged(staged);
+    }
+
+    renderAttachmentTray();
+    updateCharCount();
+  }
+
+  async function uploadStaged(staged) {
+    staged.status = "uploading";
+    staged.progress = 0;
+    staged.controller = new AbortController();
+
+    try {
+      staged.meta = await GigaAPI.Attachments.upload(
+        activeConversationId,
+        staged.file,
+        {
+          signal: staged.controller.signal,
+          onProgress(fraction) {
+            staged.progress = fraction;
+            updateTrayProgress(staged);
+          },
+        },
+      );
+      staged.status = "done";
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      staged.status = "failed";
+      showToast(
+        `Failed to upload "${staged.file.name}": ${err.message}`,
+        "error",
+      );
+    }
+
+    if (stagedAttachments.includes(staged)) {
+      renderAttachmentTray();
+      updateCharCount();
+    }
+  }
+
+  function removeStaged(key) {
+    const staged = stagedAttachments.find((s) => s.key === key);
+    if (!staged) return;
+    if (staged.controller) staged.controller.abort();
+    if (staged.previewUrl) URL.revokeObjectURL(staged.previewUrl);
+    stagedAttachments = stagedAttachments.filter((s) => s !== staged);
+    renderAttachmentTray();
+    updateCharCount();
+  }
+
+  // Sent, or abandoned by switching conversations
+  function clearStagedAttachments() {
+    stagedAttachments.forEach((s) => {
+      if (s.status === "uploading") s.controller.abort();
+      if (s.previewUrl) URL.revokeObjectURL(s.previewUrl);
+    });
+    stagedAttachments = [];
+    renderAttachmentTray();
+  }
+
+  function renderAttachmentTray() {
+    if (!attachmentTray) return;
+    attachmentTray.hidden = stagedAttachments.length === 0;
+
+    attachmentTray.innerHTML = stagedAttachments
+      .map(
+        (s) => `
+          <div class="staged-attachment ${s.status}" data-key="${s.key}">
+            ${
+              s.previewUrl
+                ? `<img class="staged-thumb" src="${s.previewUrl}" alt="">`
+                : `<div class="staged-thumb file">\u{1F4C4}</div>`
+            }
+            <div class="staged-info">
+              <span class="staged-name">${escapeHtml(s.file.name)}</span>
+              <span class="staged-size">${
+                s.status === "failed"
+                  ? `Upload failed \u00B7 <button type="button" class="staged-retry">Retry</button>`
+                  : formatFileSize(s.file.size)
+              }</span>
+              ${
+                s.status === "uploading"
+                  ? `<div class="staged-progress"><div class="staged-progress-bar" style="width:${Math.round(
+                      s.progress * 100,
+                    )}%"></div></div>`
+                  : ""
+              }
+            </div>
+            <button type="button" class="staged-remove" title="Remove" aria-label="Remove ${escapeHtml(s.file.name)}">&times;</button>
+          </div>
+        `,
+      )
+      .join("");
+  }
+
+  // Progress events are frequent – only move the bar
+  function updateTrayProgress(staged) {
+    const bar = attachmentTray?.querySelector(
+      `[data-key="${staged.key}"] .staged-progress-bar`,
+    );
+    if (bar) bar.style.width = `${Math.round(staged.progress * 100)}%`;
+  }
+
+  function buildAttachmentsHtml(attachments) {
+    if (!attachments || attachments.length === 0) return "";
+
+    const items = attachments.map((a) => {
+      const url = GigaAPI.Attachments.resolveUrl(a.url);
+      const name = a.name || "file";
+      if (!url) return "";
+
+      if (IMAGE_TYPES.includes(a.content_type)) {
+        return `
+          <button type="button" class="attachment-image"
+                  data-src="${escapeHtml(url)}" data-name="${escapeHtml(name)}"
+                  title="${escapeHtml(name)}">
+            <img src="${escapeHtml(url)}" alt="${escapeHtml(name)}" loading="lazy">
+          </button>
+        `;
+      }
+      return `
+        <a class="attachment-file" href="${escapeHtml(url)}"
+           download="${escapeHtml(name)}" target="_blank" rel="noopener noreferrer">
+          <span class="attachment-file-icon">\u{1F4C4}</span>
+          <span class="attachment-file-info">
+            <span class="attachment-file-name">${escapeHtml(name)}</span>
+            <span class="attachment-file-size">${formatFileSize(a.size)}</span>
+          </span>
+        </a>
+      `;
+    });
+    return `<div class="message-attachments">${items.join("")}</div>`;
+  }
+
+  function openLightbox(src, name) {
+    if (!lightbox) return;
+    lightboxImage.src = src;
+    lightboxImage.alt = name;
+    lightboxCaption.textContent = name;
+    lightboxCaption.href = src;
+    lightbox.hidden = false;
+  }
+
+  function closeLightbox() {
+    if (!lightbox || lightbox.hidden) return;
+    lightbox.hidden = true;
+    lightboxImage.removeAttribute("src");
+  }
+
+  // Drag and drop anywhere over the open chat
+  function handleDragOver(e) {
+    if (!activeConversationId || !e.dataTransfer.types.includes("Files")) {
+      return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    chatActiveArea.classList.add("drag-over");
+  }
+
+  function handleDragLeave(e) {
+    if (!chatActiveArea.contains(e.relatedTarget)) {
+      chatActiveArea.classList.remove("drag-over");
+    }
+  }
+
+  function handleDrop(e) {
+    chatActiveArea.classList.remove("drag-over");
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    stageFiles(e.dataTransfer.files);
+  }
+
+  // ── Replies ─────────────────────────────────────────────────────────
+  // A reply carries `reply_to` (the original's server id). The original
+  // is looked up in the loaded history; the server may also send a
+  // `reply_preview` ({ sender_id, content }) for ones we haven't loaded.
+
+  const HIGHLIGHT_DURATION = 2000; // ms the jumped-to message stays lit
+  const REPLY_SNIPPET_LENGTH = 120;
+
+  let replyingTo = null; // message the composer is replying to
+
+  function getSnippet(text) {
+    return text.length > REPLY_SNIPPET_LENGTH
+      ? `${text.slice(0, REPLY_SNIPPET_LENGTH)}\u2026`
+      : text;
+  }
+
+  function buildQuoteHtml(msg) {
+    const original = messages.find((m) => m.id === msg.reply_to);
+    const source = original || msg.reply_preview || null;
+
+    let sender = "Original message";
+    let text = "Not loaded yet \u2013 click to find it";
+    if (source) {
+      sender =
+        source.sender_id === currentUser.user_id
+          ? "You"
+          : getUserName(source.sender_id);
+      text = getPreviewText(source);
+    }
+
+    return `
+      <button type="button" class="message-quote" data-reply-to="${escapeHtml(msg.reply_to)}">
+        <span class="message-quote-sender">${escapeHtml(sender)}</span>
+        <span class="message-quote-text">${escapeHtml(getSnippet(text))}</span>
+      </button>
+    `;
+  }
+
+  function startReply(msg) {
+    replyingTo = msg;
+    if (composerReply) {
+      composerReplySender.textContent = `Replying to ${
+        msg.sender_id === currentUser.user_id
+          ? "yourself"
+          : getUserName(msg.sender_id)
+      }`;
+      composerReplySnippet.textContent = getSnippet(getPreviewText(msg));
+      composerReply.hidden = false;
+    }
+    if (composerTextarea) composerTextarea.focus();
+  }
+
+  function cancelReply() {
+    replyingTo = null;
+    if (composerReply) composerReply.hidden = true;
+  }
+
+  /**
+   * Scroll the open conversation to a message and highlight it, paging
+   * back through the history until it's loaded.
+   */
+  async function scrollToMessage(messageId) {
+    const conversationId = activeConversationId;
+
+    while (!rowIndex.has(messageId) && hasMoreHistory) {
+      if (!(await loadOlderMessages())) return;
+      if (conversationId !== activeConversationId) return;
+    }
+
+    const i = rowIndex.get(messageId);
+    if (i === undefined) {
+      showToast("The original message is no longer available.", "info");
+      return;
+    }
+
+    // Put it a third of the way down the view, then let the list settle
+    messagesArea.scrollTop =
+      topSpacer.offsetTop + rowOffsets[i] - messagesArea.clientHeight / 3;
+    updateVirtualList({ keepBottom: false });
+
+    const el = renderedRows.get(messageId)?.querySelector(".message");
+    if (el) {
+      el.classList.remove("highlight");
+      void el.offsetWidth; // restart the animation
+      el.classList.add("highlight");
+      setTimeout(() => el.classList.remove("highlight"), HIGHLIGHT_DURATION);
+    }
+  }
+
+  // ── Virtualized message list ────────────────────────────────────────
+  // Only the rows near the viewport are in the DOM. The rest of the
+  // history is stood in for by two spacers sized from measured (or
+  // estimated) row heights, so the scrollbar still covers everything.
+  // Each row is a message plus the date separator above it, if any.
+
+  const ESTIMATED_ROW_HEIGHT = 72; // px, until a row has been measured
+  const OVERSCAN = 600; // px rendered above and below the viewport
+  const LOAD_OLDER_THRESHOLD = 200; // px from the top that triggers paging
+
+  const rowHeights = new Map(); // row key (message id) -> measured height
+  const renderedRows = new Map(); // row key -> element in the DOM
+  const animateRows = new Set(); // keys that should slide in when rendered
+  let layoutRows = []; // messages + pending, in display order
+  let rowOffsets = [0]; // rowOffsets[i] = top of row i; last = total height
+  let rowIndex = new Map(); // row key -> index in layoutRows
+  let topSpacer = null;
+  let bottomSpacer = null;
+  let historyStatusEl = null;
+
+  function resetVirtualList() {
+    rowHeights.clear();
+    renderedRows.clear();
+    animateRows.clear();
+    layoutRows = [];
+    rowOffsets = [0];
+    rowIndex = new Map();
+    topSpacer = null;
+    bottomSpacer = null;
+    historyStatusEl = null;
+    seenMarkerId = null;
+    editingMessageId = null;
+    if (readObserver) readObserver.disconnect();
+    visibleUnread.clear();
+  }
+
+  function isListMounted() {
+    return !!topSpacer && messagesArea.contains(topSpacer);
+  }
+
+  function ensureListSkeleton() {
+    if (isListMounted()) return;
+
+    historyStatusEl = document.createElement("div");
+    historyStatusEl.className = "history-status";
+    topSpacer = document.createElement("div");
+    topSpacer.className = "virtual-spacer";
+    bottomSpacer = document.createElement("div");
+    bottomSpacer.className = "virtual-spacer";
+
+    messagesArea.innerHTML = "";
+    messagesArea.append(historyStatusEl, topSpacer, bottomSpacer);
+    renderedRows.clear();
+  }
+
+  // Drop every rendered row so the next update rebuilds them (used when
+  // rows change in ways that affect their neighbours, e.g. prepending)
+  function invalidateRows() {
+    [...renderedRows.keys()].forEach(removeRow);
+  }
+
+  // Re-render a single row (e.g. its status changed) if it's in the DOM
+  function refreshRow(key) {
+    removeRow(key);
+    if (isListMounted()) updateVirtualList();
+  }
+
+  function removeRow(key) {
+    const el = renderedRows.get(key);
+    if (!el) return;
+    unobserveRead(el);
+    el.remove();
+    renderedRows.delete(key);
+  }
+
+  /**
+   * Bring the DOM in line with the rows and the scroll position.
+   * Keeps the first visible row where it is on screen (so measuring rows
+   * or prepending history doesn't make the content jump), or sticks to
+   * the bottom when `keepBottom` is set.
+   */
+  function updateVirtualList({ keepBottom = isScrolledToBottom() } = {}) {
+    if (!isListMounted()) return;
+
+    const anchor = keepBottom ? null : captureAnchor();
+
+    // Measuring can change heights, which can change the range – a couple
+    // of passes settles it
+    for (let pass = 0; pass < 3; pass++) {
+      layoutList();
+      renderRange();
+      if (keepBottom) {
+        messagesArea.scrollTop = messagesArea.scrollHeight;
+      } else if (anchor) {
+        restoreAnchor(anchor);
+      }
+      renderRange();
+      if (!measureRows()) break;
+    }
+  }
+
+  function layoutList() {
+    layoutRows = messages
+      .filter((m) => !isBlocked(m.sender_id))
+      .concat(getPendingMessages(activeConversationId));
+    rowOffsets = new Array(layoutRows.length + 1);
+    rowOffsets[0] = 0;
+    rowIndex = new Map();
+    layoutRows.forEach((row, i) => {
+      rowIndex.set(row.id, i);
+      rowOffsets[i + 1] =
+        rowOffsets[i] + (rowHeights.get(row.id) || ESTIMATED_ROW_HEIGHT);
+    });
+
+    // "Seen …" moved to another message: re-render both rows
+    const marker = findSeenMarkerId();
+    if (marker !== seenMarkerId) {
+      removeRow(seenMarkerId);
+      removeRow(marker);
+      seenMarkerId = marker;
+    }
+  }
+
+  function renderRange() {
+    const count = layoutRows.length;
+    const listTop = messagesArea.scrollTop - topSpacer.offsetTop;
+    const viewTop = listTop - OVERSCAN;
+    const viewBottom = listTop + messagesArea.clientHeight + OVERSCAN;
+
+    let start = 0;
+    while (start < count - 1 && rowOffsets[start + 1] <= viewTop) start++;
+    let end = start;
+    while (end < count - 1 && rowOffsets[end + 1] < viewBottom) end++;
+
+    const wanted = count ? layoutRows.slice(start, end + 1) : [];
+    const wantedKeys = new Set(wanted.map((row) => row.id));
+
+    [...renderedRows.keys()].forEach((key) => {
+      if (!wantedKeys.has(key)) removeRow(key);
+    });
+
+    let cursor = topSpacer;
+    wanted.forEach((row, i) => {
+      let el = renderedRows.get(row.id);
+      if (!el) {
+        el = createRowElement(row, layoutRows[start + i - 1] || null);
+        renderedRows.set(row.id, el);
+      }
+      if (cursor.nextSibling !== el) cursor.after(el);
+      cursor = el;
+    });
+
+    topSpacer.style.height = `${count ? rowOffsets[start] : 0}px`;
+    bottomSpacer.style.height = `${
+      count ? rowOffsets[count] - rowOffsets[end + 1] : 0
+    }px`;
+  }
+
+  function createRowElement(msg, prevMsg) {
+    const el = document.createElement("div");
+    el.className = "message-row";
+    el.dataset.rowKey = msg.id;
+    el.innerHTML = buildMessageHtml(msg, prevMsg);
+
+    if (animateRows.delete(msg.id)) {
+      el.querySelector(".message")?.classList.add("new-message");
+    }
+    observeRead(el, msg);
+    return el;
+  }
+
+  // Record real heights of rendered rows; returns true if any changed
+  function measureRows() {
+    let changed = false;
+    renderedRows.forEach((el, key) => {
+      const height = el.offsetHeight;
+      if (height && rowHeights.get(key) !== height) {
+        rowHeights.set(key, height);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  // The first row at the top of the viewport, and how far it's scrolled in
+  function captureAnchor() {
+    if (layoutRows.length === 0) return null;
+    const listTop = messagesArea.scrollTop - topSpacer.offsetTop;
+    let i = 0;
+    while (i < layoutRows.length - 1 && rowOffsets[i + 1] <= listTop) i++;
+    return { key: layoutRows[i].id, delta: listTop - rowOffsets[i] };
+  }
+
+  function restoreAnchor(anchor) {
+    const i = rowIndex.get(anchor.key);
+    if (i === undefined) return;
+    messagesArea.scrollTop = topSpacer.offsetTop + rowOffsets[i] + anchor.delta;
+  }
+
+  // ── History paging ──────────────────────────────────────────────────
+
+  const HISTORY_PAGE_SIZE = 50;
+
+  let hasMoreHistory = false; // older messages exist on the server
+  let loadingOlder = false;
+  let olderRequest = null; // the page being fetched, shared by callers
+
+  /**
+   * Fetch the page before the oldest loaded message.
+   * @returns {Promise<boolean>} whether a page was loaded
+   */
+  function loadOlderMessages() {
+    if (olderRequest) return olderRequest;
+    if (!hasMoreHistory || !activeConversationId || messages.length === 0) {
+      return Promise.resolve(false);
+    }
+    olderRequest = fetchOlderMessages().finally(() => {
+      olderRequest = null;
+    });
+    return olderRequest;
+  }
+
+  async function fetchOlderMessages() {
+    const conversationId = activeConversationId;
+    loadingOlder = true;
+    renderHistoryStatus();
+
+    try {
+      const data = await GigaAPI.Conversations.messages(conversationId, {
+        before: messages[0].id,
+        limit: HISTORY_PAGE_SIZE,
+      });
+      if (conversationId !== activeConversationId) return false;
+
+      const page = data.messages || [];
+      hasMoreHistory = data.has_more ?? page.length >= HISTORY_PAGE_SIZE;
+
+      const older = page.filter((m) => !hasMessage(m));
+      await resolveUsers(older.map((m) => m.sender_id));
+      if (conversationId !== activeConversationId) return false;
+
+      messages = older.concat(messages);
+      cacheMessages(conversationId, older);
+      // The old first row may gain or lose its date separator, and quotes
+      // of the new messages can now be filled in
+      invalidateRows();
+      return true;
+    } catch (err) {
+      showToast("Failed to load older messages: " + err.message, "error");
+      return false;
+    } finally {
+      loadingOlder = false;
+      if (conversationId === activeConversationId) {
+        renderHistoryStatus();
+        updateVirtualList({ keepBottom: false });
+      }
+    }
+  }
+
+  function renderHistoryStatus() {
+    if (!historyStatusEl) return;
+    if (loadingOlder) {
+      historyStatusEl.innerHTML = '<div class="loading-spinner"></div>';
+    } else if (!hasMoreHistory) {
+      historyStatusEl.innerHTML = `
+        <div class="message-system">
+          <span class="system-text">This is the beginning of your conversation.</span>
+        </div>
+      `;
+    } else {
+      historyStatusEl.innerHTML = "";
+    }
+  }
+
+  let scrollFrame = null;
+
+  function handleMessagesScroll() {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = null;
+      updateVirtualList();
+      if (messagesArea.scrollTop < LOAD_OLDER_THRESHOLD) loadOlderMessages();
+    });
+  }
+
+  // Fallback identity for a message without a server id (e.g. a non-JSON
+  // frame): the same sender, time and text is taken as the same message.
+  function messageKey(msg) {
+    return `${msg.sender_id}|${msg.created_at}|${msg.content}`;
+  }
+
+  // Server ids win; the content key covers messages that arrived without
+  // one (and wouldn't match an edited copy anyway)
+  function hasMessage(msg) {
+    const key = messageKey(msg);
+    // A retried send echoed twice carries the same client_id
+    return messages.some(
+      (m) =>
+        (msg.id && m.id === msg.id) ||
+        (msg.client_id && m.client_id === msg.client_id) ||
+        messageKey(m) === key,
+    );
+  }
+
+  // Merge messages fetched after a reconnect into the open conversation
+  function mergeMessages(incoming) {
+    const fresh = incoming.filter((m) => !hasMessage(m));
+    if (fresh.length === 0) return;
+    reconcileOutbox(fresh, activeConversationId);
+
+    const wasAtBottom = isScrolledToBottom();
+    messages = messages
+      .concat(fresh)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    renderMessages();
+    if (wasAtBottom) scrollToBottom();
+  }
+
+  function isScrolledToBottom() {
+    if (!messagesArea) return true;
+    return (
+      messagesArea.scrollHeight -
+        messagesArea.scrollTop -
+        messagesArea.clientHeight <
+      40
+    );
+  }
+
+  function getUserName(userId) {
+    const friend = friends.find((f) => f.friend_id === userId);
+    if (friend) return friend.display_name || friend.username || "User";
+    const profile = knownUsers.get(userId);
+    if (profile) return profile.display_name || profile.username || "User";
+    return "User";
+  }
+
+  // Fetch profiles for users we can't name yet (group members who aren't
+  // our friends), then patch their names into any rendered messages.
+  async function resolveUsers(userIds) {
+    const unknown = [...new Set(userIds)].filter(
+      (id) =>
+        id &&
+        id !== currentUser.user_id &&
+        !knownUsers.has(id) &&
+        !friends.some((f) => f.friend_id === id),
+    );
+    if (unknown.length === 0) return;
+
+    await Promise.all(unknown.map(getProfile));
+
+    unknown.forEach((userId) => {
+      messagesArea
+        ?.querySelectorAll(
+          `.message[data-sender-id="${userId}"] .message-sender`,
+        )
+        .forEach((el) => {
+          el.textContent = getUserName(userId);
+        });
+    });
+  }
+
+  // ── Composer ────────────────────────────────────────────────────────
+
+  function sendMessage() {
+    if (!composerTextarea || !activeConversationId || offline) return;
+
+    const content = composerTextarea.value.trim();
+    if (content.length > MAX_MESSAGE_LENGTH || isUploading()) return;
+
+    const attachments = stagedAttachments
+      .filter((s) => s.status === "done")
+      .map((s) => s.meta);
+    if (!content && attachments.length === 0) return;
+
+    stopTyping();
+    enqueueMessage(content, replyingTo ? replyingTo.id : null, attachments);
+    cancelReply();
+    clearStagedAttachments();
+
+    // Clear the textarea
+    composerTextarea.value = "";
+    updateCharCount();
+    autoResizeTextarea();
+    composerTextarea.focus();
+  }
+
+  function updateCharCount() {
+    if (!composerTextarea || !composerCharCount) return;
+
+    const len = composerTextarea.value.length;
+    composerCharCount.textContent = `${len}/${MAX_MESSAGE_LENGTH}`;
+
+    composerCharCount.classList.remove("near-limit", "at-limit");
+    if (len >= MAX_MESSAGE_LENGTH) {
+      composerCharCount.classList.add("at-limit");
+    } else if (len >= MAX_MESSAGE_LENGTH * 0.85) {
+      composerCharCount.classList.add("near-limit");
+    }
+
+    // Enable/disable send button (files must finish uploading first)
+    if (btnSend) {
+      const hasFiles = stagedAttachments.some((s) => s.status === "done");
+      btnSend.disabled =
+        (!composerTextarea.value.trim() && !hasFiles) ||
+        isUploading() ||
+        !activeConversationId ||
+        offline;
+    }
+  }
+
+  function autoResizeTextarea() {
+    if (!composerTextarea) return;
+    composerTextarea.style.height = "auto";
+    composerTextarea.style.height =
+      Math.min(composerTextarea.scrollHeight, 120) + "px";
+  }
+
+  // ── Outbound queue ──────────────────────────────────────────────────
+  // Every message goes through the outbox: it is rendered right away as
+  // "sending", persisted so it survives a reload, and only removed once
+  // the server echoes it back over the socket. Sends that are not echoed
+  // in time are marked "failed" and can be retried.
+
+  const ackTimers = new Map(); // client_id -> timeout id
+
+  function loadOutbox() {
+    try {
+      outbox = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY)) || [];
+    } catch {
+      outbox = [];
+    }
+    // Only keep our own messages (another account may have used this browser)
+    outbox = outbox.filter((entry) => entry.sender_id === currentUser.user_id);
+  }
+
+  function saveOutbox() {
+    try {
+      localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(outbox));
+    } catch {
+      // Storage full or unavailable – the queue still works in memory
+    }
+  }
+
+  function getPendingMessages(conversationId) {
+    return outbox
+      .filter((entry) => entry.conversation_id === conversationId)
+      .map((entry) => ({ ...entry, id: entry.client_id }));
+  }
+
+  function enqueueMessage(content, replyTo = null, attachments = []) {
+    const entry = {
+      client_id: crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      conversation_id: activeConversationId,
+      sender_id: currentUser.user_id,
+      content,
+      reply_to: replyTo,
+      attachments,
+      created_at: new Date().toISOString(),
+      status: "sending",
+    };
+
+    outbox.push(entry);
+    saveOutbox();
+
+    appendMessage({ ...entry, id: entry.client_id });
+    scrollToBottom(true);
+
+    dispatchPending(entry);
+  }
+
+  // Hand an entry to the socket. If the socket isn't open the entry just
+  // stays queued as "sending" until flushOutbox runs on the next open.
+  function dispatchPending(entry) {
+    const extra = { client_id: entry.client_id };
+    if (entry.reply_to) extra.reply_to = entry.reply_to;
+    if (entry.attachments?.length) {
+      extra.attachment_ids = entry.attachments.map((a) => a.id);
+    }
+    if (!GigaAPI.Realtime.send(entry.conversation_id, entry.content, extra)) {
+      return;
+    }
+
+    clearTimeout(ackTimers.get(entry.client_id));
+    ackTimers.set(
+      entry.client_id,
+      setTimeout(() => setPendingStatus(entry.client_id, "failed"), SEND_ACK_TIMEOUT),
+    );
+  }
+
+  function flushOutbox(conversationId) {
+    outbox
+      .filter(
+        (entry) =>
+          entry.conversation_id === conversationId &&
+          entry.status === "sending",
+      )
+      .forEach(dispatchPending);
+  }
+
+  function setPendingStatus(clientId, status) {
+    const entry = outbox.find((e) => e.client_id === clientId);
+    if (!entry) return;
+
+    entry.status = status;
+    saveOutbox();
+    if (status !== "sending") {
+      clearTimeout(ackTimers.get(clientId));
+      ackTimers.delete(clientId);
+    }
+
+    refreshRow(clientId);
+  }
+
+  function retryPending(clientId) {
+    const entry = outbox.find((e) => e.client_id === clientId);
+    if (!entry) return;
+    setPendingStatus(clientId, "sending");
+    dispatchPending(entry);
+  }
+
+  function discardPending(clientId) {
+    removePending(clientId);
+    refreshRow(clientId);
+  }
+
+  function removePending(clientId) {
+    clearTimeout(ackTimers.get(clientId));
+    ackTimers.delete(clientId);
+    outbox = outbox.filter((e) => e.client_id !== clientId);
+    saveOutbox();
+  }
+
+  // Find the outbox entry a server message corresponds to (and drop it).
+  // The server echoes our client_id; matching on the content is only for
+  // messages that come back without one.
+  function takePendingMatch(msg, conversationId = msg.conversation_id) {
+    if (msg.sender_id !== currentUser.user_id) return null;
+
+    const sentAt = new Date(msg.created_at).getTime();
+    const entry = msg.client_id
+      ? outbox.find((e) => e.client_id === msg.client_id)
+      : outbox.find(
+          (e) =>
+            e.conversation_id === conversationId &&
+            e.content === msg.content &&
+            sameAttachments(e.attachments, msg.attachments) &&
+            (isNaN(sentAt) ||
+              sentAt >=
+                new Date(e.created_at).getTime() - CLOCK_SKEW_TOLERANCE),
+        );
+    if (!entry) return null;
+
+    removePending(entry.client_id);
+    return entry;
+  }
+
+  function sameAttachments(a = [], b = []) {
+    const ids = (list) => (list || []).map((x) => x.id).join(",");
+    return ids(a) === ids(b);
+  }
+
+  // Swap the optimistic bubble for the confirmed message, in place
+  function confirmPending(msg) {
+    const entry = takePendingMatch(msg);
+    if (!entry) return false;
+
+    msg.status = "sent";
+    // The confirmed row takes the pending row's place (and height)
+    if (rowHeights.has(entry.client_id)) {
+      rowHeights.set(msg.id, rowHeights.get(entry.client_id));
+    }
+    refreshRow(entry.client_id);
+    return true;
+  }
+
+  // Drop outbox entries that already made it to the server (e.g. the echo
+  // was lost in a disconnect, or the page was reloaded mid-send)
+  function reconcileOutbox(serverMessages, conversationId) {
+    serverMessages.forEach((msg) => {
+      if (takePendingMatch(msg, conversationId)) msg.status = "sent";
+    });
+  }
+
+  function buildMessageStatusHtml(msg) {
+    const status = msg.status;
+    if (status === "sending") {
+      return `<div class="message-status sending">Sending\u2026</div>`;
+    }
+    if (status === "failed") {
+      return `
+        <div class="message-status failed">
+          Failed to send \u00B7
+          <button type="button" class="message-retry">Retry</button>
+          <button type="button" class="message-discard">Discard</button>
+        </div>
+      `;
+    }
+    return buildReceiptHtml(msg);
+  }
+
+  // ── Read receipts ───────────────────────────────────────────────────
+  // Recipients acknowledge messages over the socket:
+  //   { type: "delivered", message_id }  when it arrives on their socket
+  //   { type: "read",      message_id }  when it has been on their screen
+  // The server relays them with `user_id` and `at`. Both are cumulative –
+  // they cover every earlier message in the conversation too. On our own
+  // messages they land in `delivered_at` and `read_by` (user_id -> time),
+  // the same fields the history endpoint returns.
+
+  let seenMarkerId = null; // our newest message that someone has read
+  let readObserver = null;
+  const visibleUnread = new Map(); // message id -> message on screen
+  const lastReadSent = new Map(); // conversationId -> created_at we acked
+  let readReceiptTimer = null;
+
+  function getReadBy(msg) {
+    return msg.read_by ? Object.keys(msg.read_by) : [];
+  }
+
+  function buildReceiptHtml(msg) {
+    const readers = getReadBy(msg);
+    const state = readers.length
+      ? "read"
+      : msg.delivered_at
+        ? "delivered"
+        : "sent";
+    const checks = state === "sent" ? "\u2713" : "\u2713\u2713";
+    const labels = { sent: "Sent", delivered: "Delivered", read: "Read" };
+
+    let seen = "";
+    if (msg.id === seenMarkerId) {
+      if (activeGroupId) {
+        const names = readers.map(getUserName);
+        seen = `Seen by ${escapeHtml(
+          names.length > 3
+            ? `${names.slice(0, 3).join(", ")} +${names.length - 3}`
+            : names.join(", "),
+        )}`;
+      } else {
+        seen = `Seen at ${formatTime(msg.read_by[readers[0]])}`;
+      }
+    }
+
+    return `
+      <div class="message-status ${state}">
+        ${seen}
+        <span class="message-checks" title="${labels[state]}">${checks}</span>
+      </div>
+    `;
+  }
+
+  function findSeenMarkerId() {
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const msg = messages[i];
+      if (msg.sender_id === currentUser.user_id && getReadBy(msg).length) {
+        return msg.id;
+      }
+    }
+    return null;
+  }
+
+  // Receipts for chats that aren't open are dropped; opening one loads
+  // the current state from the history.
+  function applyReceipt(conversationId, data) {
+    if (conversationId !== activeConversationId || !data.message_id) return;
+
+    const target = messages.find((m) => m.id === data.message_id);
+    if (!target) return;
+
+    const cutoff = new Date(target.created_at);
+    const at = data.at || new Date().toISOString();
+    const changed = [];
+
+    messages.forEach((msg) => {
+      if (msg.sender_id !== currentUser.user_id) return;
+      if (new Date(msg.created_at) > cutoff) return;
+
+      let updated = false;
+      // Anything read was delivered too
+      if (!msg.delivered_at) {
+        msg.delivered_at = at;
+        updated = true;
+      }
+      if (data.type === "read" && !(msg.read_by && msg.read_by[data.user_id])) {
+        msg.read_by = { ...msg.read_by, [data.user_id]: at };
+        updated = true;
+      }
+      if (updated) changed.push(msg.id);
+    });
+
+    if (changed.length === 0) return;
+    changed.forEach(removeRow);
+    if (isListMounted()) updateVirtualList();
+  }
+
+  // Watch other people's messages; the ones that stay on screen get read
+  function observeRead(el, msg) {
+    if (msg.sender_id === currentUser.user_id) return;
+    if (!readObserver) {
+      if (!("IntersectionObserver" in window)) return;
+      readObserver = new IntersectionObserver(handleReadIntersections, {
+        root: messagesArea,
+        threshold: READ_VISIBLE_RATIO,
+      });
+    }
+    el._message = msg;
+    readObserver.observe(el);
+  }
+
+  function unobserveRead(el) {
+    if (!readObserver || !el._message) return;
+    readObserver.unobserve(el);
+    visibleUnread.delete(el._message.id);
+  }
+
+  function handleReadIntersections(entries) {
+    entries.forEach((entry) => {
+      const msg = entry.target._message;
+      if (entry.isIntersecting) {
+        visibleUnread.set(msg.id, msg);
+      } else {
+        visibleUnread.delete(msg.id);
+      }
+    });
+    scheduleReadReceipt();
+  }
+
+  function scheduleReadReceipt() {
+    clearTimeout(readReceiptTimer);
+    readReceiptTimer = setTimeout(sendReadReceipt, READ_RECEIPT_DELAY);
+  }
+
+  // Acknowledge the newest message on screen (covers everything before it)
+  function sendReadReceipt() {
+    const conversationId = activeConversationId;
+    if (!conversationId || !isViewing(conversationId)) return;
+
+    let newest = null;
+    visibleUnread.forEach((msg) => {
+      if (!newest || new Date(msg.created_at) > new Date(newest.created_at)) {
+        newest = msg;
+      }
+    });
+    if (!newest) return;
+
+    const acked = lastReadSent.get(conversationId);
+    if (acked && new Date(acked) >= new Date(newest.created_at)) return;
+
+    const sent = GigaAPI.Realtime.sendEvent(conversationId, "read", {
+      message_id: newest.id,
+    });
+    if (sent) lastReadSent.set(conversationId, newest.created_at);
+  }
+
+  // ── Event binding ───────────────────────────────────────────────────
+
+  function bindEvents() {
+    // --- Composer ---
+    if (composerTextarea) {
+      composerTextarea.addEventListener("input", () => {
+        updateCharCount();
+        autoResizeTextarea();
+        handleComposerTyping();
+      });
+
+      composerTextarea.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+          e.preventDefault();
+          sendMessage();
+        } else if (e.key === "Escape" && replyingTo) {
+          cancelReply();
+        }
+      });
+
+      // Pasted files (e.g. screenshots) become attachments
+      composerTextarea.addEventListener("paste", (e) => {
+        const files = e.clipboardData && e.clipboardData.files;
+        if (!files || files.length === 0) return;
+        e.preventDefault();
+        stageFiles(files);
+      });
+
+      // Enforce max length
+      composerTextarea.addEventListener("beforeinput", (e) => {
+        if (
+          e.data &&
+          composerTextarea.value.length + e.data.length > MAX_MESSAGE_LENGTH
+        ) {
+          e.preventDefault();
+        }
+      });
+    }
+
+    if (btnSend) {
+      btnSend.addEventListener("click", sendMessage);
+    }
+
+    // --- Attachments ---
+    if (btnAttach && attachInput) {
+      btnAttach.addEventListener("click", () => attachInput.click());
+      attachInput.accept = ALLOWED_ATTACHMENT_TYPES.join(",");
+      attachInput.addEventListener("change", () => {
+        stageFiles(attachInput.files);
+        attachInput.value = ""; // picking the same file again still fires
+      });
+    }
+
+    if (attachmentTray) {
+      attachmentTray.addEventListener("click", (e) => {
+        const item = e.target.closest(".staged-attachment");
+        if (!item) return;
+        const staged = stagedAttachments.find(
+          (s) => s.key === item.dataset.key,
+        );
+        if (e.target.closest(".staged-remove")) {
+          removeStaged(item.dataset.key);
+        } else if (staged && e.target.closest(".staged-retry")) {
+          uploadStaged(staged);
+          renderAttachmentTray();
+          updateCharCount();
+        }
+      });
+    }
+
+    if (chatActiveArea) {
+      chatActiveArea.addEventListener("dragover", handleDragOver);
+      chatActiveArea.addEventListener("dragleave", handleDragLeave);
+      chatActiveArea.addEventListener("drop", handleDrop);
+    }
+
+    if (lightbox) {
+      lightbox.addEventListener("click", (e) => {
+        // Anywhere but the picture and its link closes it
+        if (!e.target.closest(".lightbox-image, .lightbox-caption")) {
+          closeLightbox();
+        }
+      });
+      document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") closeLightbox();
+      });
+    }
+
+    const btnCancelReply = document.getElementById("btn-cancel-reply");
+    if (btnCancelReply) {
+      btnCancelReply.addEventListener("click", cancelReply);
+    }
+
+    // --- Check for new friend requests when the window regains focus ---
+    window.addEventListener("focus", loadPendingRequests);
+
+    // --- Mark the open conversation read when the tab comes back ---
+    document.addEventListener("visibilitychange", () => {
+      if (activeConversationId && isViewing(activeConversationId)) {
+        markConversationRead(activeConversationId);
+        // Messages that were on screen while the tab was hidden
+        scheduleReadReceipt();
+      }
+      updateOwnPresence();
+    });
+
+    // --- Presence: any input counts as being around ---
+    ["pointerdown", "keydown", "wheel"].forEach((type) => {
+      window.addEventListener(type, noteUserActivity, { passive: true });
+    });
+    window.addEventListener("pagehide", () => announcePresence("offline"));
+
+    // --- Virtualized message list ---
+    if (messagesArea) {
+      messagesArea.addEventListener("scroll", handleMessagesScroll, {
+        passive: true,
+      });
+    }
+
+    window.addEventListener(
+      "resize",
+      debounce(() => {
+        // Wrapping changed, so every measured height is stale
+        if (!isListMounted()) return;
+        rowHeights.clear();
+        invalidateRows();
+        updateVirtualList();
+      }, 150),
+    );
+
+    // --- Message actions (pending sends, edit, delete) ---
+    if (messagesArea) {
+      messagesArea.addEventListener("click", (e) => {
+        const msgEl = e.target.closest(".message");
+        if (!msgEl) return;
+        const action = e.target.closest(".message-action");
+        const quote = e.target.closest(".message-quote");
+        const chip = e.target.closest(".reaction-chip");
+        const copy = e.target.closest(".code-copy");
+        const image = e.target.closest(".attachment-image");
+        if (image) {
+          openLightbox(image.dataset.src, image.dataset.name);
+        } else if (copy) {
+          copyCodeBlock(copy);
+        } else if (quote) {
+          scrollToMessage(quote.dataset.replyTo);
+        } else if (e.target.closest(".message-retry")) {
+          retryPending(msgEl.dataset.msgId);
+        } else if (e.target.closest(".message-discard")) {
+          discardPending(msgEl.dataset.msgId);
+        } else if (e.target.closest(".message-edit-cancel")) {
+          stopEditing();
+        } else if (action) {
+          handleMessageAction(
+            action.dataset.action,
+            msgEl.dataset.msgId,
+            action,
+          );
+        } else if (chip) {
+          toggleReaction(msgEl.dataset.msgId, chip.dataset.emoji);
+        }
+      });
+
+      messagesArea.addEventListener("pointerdown", handleLongPressStart);
+      // pointercancel also fires when the touch turns into a scroll
+      ["pointerup", "pointercancel"].forEach((type) => {
+        messagesArea.addEventListener(type, cancelLongPress);
+      });
+      // The picker is placed once; don't leave it floating while scrolling
+      messagesArea.addEventListener("scroll", closeReactionPicker, {
+        passive: true,
+      });
+
+      document.addEventListener("click", (e) => {
+        if (!e.target.closest(".reaction-picker, [data-action='react']")) {
+          closeReactionPicker();
+        }
+      });
+      document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") closeReactionPicker();
+      });
+
+      messagesArea.addEventListener("submit", (e) => {
+        if (!e.target.matches(".message-edit-form")) return;
+        e.preventDefault();
+        handleSaveEdit(e.target);
+      });
+
+      messagesArea.addEventListener("keydown", (e) => {
+        if (!e.target.matches(".message-edit-input")) return;
+        if (e.key === "Enter" && !e.shiftKey) {
+          e.preventDefault();
+          e.target.form.requestSubmit();
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          stopEditing();
+        }
+      });
+    }
+
+    // --- Sidebar search (names right away, message content debounced) ---
+    if (searchInput) {
+      const debouncedMessageSearch = debounce(
+        searchMessages,
+        MESSAGE_SEARCH_DEBOUNCE,
+      );
+      searchInput.addEventListener("input", () => {
+        refreshFriendList();
+        if (searchInput.value.trim().length < MESSAGE_SEARCH_MIN_LENGTH) {
+          clearMessageSearch();
+        } else {
+          debouncedMessageSearch(searchInput.value);
+        }
+      });
+      searchInput.addEventListener("keydown", (e) => {
+        if (e.key === "Escape" && searchInput.value) {
+          searchInput.value = "";
+          refreshFriendList();
+          clearMessageSearch();
+        }
+      });
+    }
+
+    if (messageSearchResultsEl) {
+      messageSearchResultsEl.addEventListener("click", (e) => {
+        const item = e.target.closest(".search-result");
+        if (!item) return;
+        openSearchResult(item.dataset.conversationId, item.dataset.messageId);
+        closeMobileSidebar();
+      });
+    }
+
+    // --- Add Friend button ---
+    const btnAddFriend = document.getElementById("btn-add-friend");
+    if (btnAddFriend) {
+      btnAddFriend.addEventListener("click", openAddFriendModal);
+    }
+
+    const btnAddFriendSection = document.getElementById(
+      "btn-add-friend-section",
+    );
+    if (btnAddFriendSection) {
+      btnAddFriendSection.addEventListener("click", openAddFriendModal);
+    }
+
+    // --- Groups ---
+    const btnCreateGroup = document.getElementById("btn-create-group");
+    if (btnCreateGroup) {
+      btnCreateGroup.addEventListener("click", openCreateGroupModal);
+    }
+
+    const createGroupForm = document.getElementById("create-group-form");
+    if (createGroupForm) {
+      createGroupForm.addEventListener("submit", handleCreateGroup);
+    }
+
+    if (btnGroupMembers) {
+      btnGroupMembers.addEventListener("click", openGroupMembersModal);
+    }
+
+    const groupRenameForm = document.getElementById("group-rename-form");
+    if (groupRenameForm) {
+      groupRenameForm.addEventListener("submit", handleRenameGroup);
+    }
+
+    const groupAddMemberForm = document.getElementById(
+      "group-add-member-form",
+    );
+    if (groupAddMemberForm) {
+      groupAddMemberForm.addEventListener("submit", handleAddGroupMember);
+    }
+
+    const groupMemberList = document.getElementById("group-member-list");
+    if (groupMemberList) {
+      groupMemberList.addEventListener("click", (e) => {
+        const btn = e.target.closest('[data-action="remove"]');
+        if (btn) {
+          handleRemoveGroupMember(btn.closest(".pending-item").dataset.userId);
+        }
+      });
+    }
+
+    const btnLeaveGroup = document.getElementById("btn-leave-group");
+    if (btnLeaveGroup) {
+      btnLeaveGroup.addEventListener("click", handleLeaveGroup);
+    }
+
+    // --- Settings button ---
+    const btnSettings = document.getElementById("btn-settings");
+    if (btnSettings) {
+      btnSettings.addEventListener("click", () => openSettingsModal());
+    }
+
+    // --- Modal close buttons ---
+    document.querySelectorAll(".modal-close").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const modal = btn.closest(".modal-overlay");
+        if (modal) closeModal(modal);
+      });
+    });
+
+    // Close modal on overlay click
+    document.querySelectorAll(".modal-overlay").forEach((overlay) => {
+      overlay.addEventListener("click", (e) => {
+        // Some dialogs need an answer (e.g. logging back in)
+        if (e.target === overlay && !overlay.hasAttribute("data-persistent")) {
+          closeModal(overlay);
+        }
+      });
+    });
+
+    // --- Add Friend form ---
+    const addFriendForm = document.getElementById("add-friend-form");
+    if (addFriendForm) {
+      addFriendForm.addEventListener("submit", handleAddFriend);
+    }
+
+    const addFriendInput = document.getElementById("add-friend-id");
+    if (addFriendInput) {
+      const debouncedSearch = debounce(
+        () => searchUsers(addFriendInput.value),
+        USER_SEARCH_DEBOUNCE,
+      );
+      addFriendInput.addEventListener("input", debouncedSearch);
+    }
+
+    const addFriendResults = document.getElementById("add-friend-results");
+    if (addFriendResults) {
+      addFriendResults.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-action]");
+        if (btn) handleSearchResultAction(btn);
+      });
+    }
+
+    // --- Avatars: fall back to the initial when an image won't load ---
+    document.addEventListener(
+      "error",
+      (e) => {
+        if (!e.target.matches || !e.target.matches("img.avatar-img")) return;
+        brokenAvatars.add(e.target.src);
+        e.target.remove();
+      },
+      true, // error events don't bubble
+    );
+
+    // --- Avatar upload (Settings) ---
+    const btnAvatarUpload = document.getElementById("btn-avatar-upload");
+    const avatarFileInput = document.getElementById("avatar-file-input");
+    if (btnAvatarUpload && avatarFileInput) {
+      btnAvatarUpload.addEventListener("click", () => avatarFileInput.click());
+      avatarFileInput.addEventListener("change", handleAvatarFileChosen);
+    }
+
+    const btnAvatarRemove = document.getElementById("btn-avatar-remove");
+    if (btnAvatarRemove) {
+      btnAvatarRemove.addEventListener("click", handleRemoveAvatar);
+    }
+
+    if (avatarCropCanvas) {
+      avatarCropCanvas.addEventListener(
+        "pointerdown",
+        handleAvatarCropPointerDown,
+      );
+      avatarCropCanvas.addEventListener(
+        "pointermove",
+        handleAvatarCropPointerMove,
+      );
+      ["pointerup", "pointercancel"].forEach((type) => {
+        avatarCropCanvas.addEventListener(type, handleAvatarCropPointerUp);
+      });
+      avatarCropCanvas.addEventListener("wheel", handleAvatarCropWheel, {
+        passive: false,
+      });
+    }
+
+    const avatarZoom = document.getElementById("avatar-crop-zoom");
+    if (avatarZoom) {
+      avatarZoom.addEventListener("input", () =>
+        setAvatarZoom(Number(avatarZoom.value)),
+      );
+    }
+
+    const btnAvatarSave = document.getElementById("btn-avatar-crop-save");
+    if (btnAvatarSave) {
+      btnAvatarSave.addEventListener("click", handleSaveAvatar);
+    }
+
+    // --- Settings form (profile edit) ---
+    const settingsForm = document.getElementById("settings-form");
+    if (settingsForm) {
+      settingsForm.addEventListener("submit", handleEditProfile);
+    }
+
+    // --- Notification settings (saved as soon as they change) ---
+    const notifyEnabled = document.getElementById("settings-notify-enabled");
+    if (notifyEnabled) {
+      notifyEnabled.addEventListener("change", handleNotifyToggle);
+    }
+
+    ["settings-quiet-enabled", "settings-quiet-start", "settings-quiet-end"]
+      .map((id) => document.getElementById(id))
+      .forEach((input) => {
+        if (input) input.addEventListener("change", handleQuietHoursChange);
+      });
+
+    // --- Blocked users (Settings) ---
+    const blockedList = document.getElementById("settings-blocked-list");
+    if (blockedList) {
+      blockedList.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-action='unblock']");
+        if (!btn) return;
+        btn.disabled = true;
+        handleUnblockUser(btn.closest(".pending-item").dataset.userId);
+      });
+    }
+
+    // --- Friend context menu and report ---
+    document.addEventListener("click", (e) => {
+      if (!e.target.closest(".context-menu, .friend-menu-btn")) {
+        closeFriendMenu();
+      }
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") closeFriendMenu();
+    });
+    friendListEl?.addEventListener("scroll", closeFriendMenu, {
+      passive: true,
+    });
+
+    const reportForm = document.getElementById("report-form");
+    if (reportForm) {
+      reportForm.addEventListener("submit", handleReportUser);
+    }
+
+    const muteList = document.getElementById("settings-mute-list");
+    if (muteList) {
+      muteList.addEventListener("change", (e) => {
+        if (e.target.matches("input[type=checkbox]")) {
+          handleMuteSetting(e.target);
+        }
+      });
+    }
+
+    // --- Logging back in after the session expired ---
+    const reloginForm = document.getElementById("relogin-form");
+    if (reloginForm) {
+      reloginForm.addEventListener("submit", handleRelogin);
+    }
+
+    const btnReloginLogout = document.getElementById("btn-relogin-logout");
+    if (btnReloginLogout) {
+      btnReloginLogout.addEventListener("click", handleReloginLogout);
+    }
+
+    // --- Password and account ---
+    const btnChangePassword = document.getElementById("btn-change-password");
+    if (btnChangePassword) {
+      btnChangePassword.addEventListener("click", openPasswordModal);
+    }
+
+    const passwordForm = document.getElementById("password-form");
+    if (passwordForm) {
+      passwordForm.addEventListener("submit", handleChangePassword);
+    }
+
+    const passwordNew = document.getElementById("password-new");
+    if (passwordNew) {
+      passwordNew.addEventListener("input", () => {
+        GigaPassword.updatePasswordStrength(
+          passwordNew.value,
+          passwordNew.closest(".input-group"),
+          accountUserInputs(),
+        );
+      });
+    }
+
+    const btnDeleteAccount = document.getElementById("btn-delete-account");
+    if (btnDeleteAccount) {
+      btnDeleteAccount.addEventListener("click", openDeleteAccountModal);
+    }
+
+    const deleteAccountForm = document.getElementById("delete-account-form");
+    if (deleteAccountForm) {
+      deleteAccountForm.addEventListener("submit", handleDeleteAccount);
+      deleteAccountForm.addEventListener("input", handleDeleteAccountInput);
+    }
+
+    // --- Two-factor authentication ---
+    const btnTwoFactorToggle = document.getElementById("btn-2fa-toggle");
+    if (btnTwoFactorToggle) {
+      btnTwoFactorToggle.addEventListener("click", handleTwoFactorToggle);
+    }
+
+    const twoFactorForm = document.getElementById("twofactor-form");
+    if (twoFactorForm) {
+      twoFactorForm.addEventListener("submit", handleTwoFactorSubmit);
+    }
+
+    const btnRecoveryDownload = document.getElementById(
+      "btn-recovery-download",
+    );
+    if (btnRecoveryDownload) {
+      btnRecoveryDownload.addEventListener(
+        "click",
+        handleDownloadRecoveryCodes,
+      );
+    }
+
+    const btnRecoveryCopy = document.getElementById("btn-recovery-copy");
+    if (btnRecoveryCopy) {
+      btnRecoveryCopy.addEventListener("click", handleCopyRecoveryCodes);
+    }
+
+    // --- Active sessions ---
+    const sessionList = document.getElementById("settings-session-list");
+    if (sessionList) {
+      sessionList.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-action='revoke']");
+        if (!btn) return;
+        handleRevokeSession(btn.closest(".pending-item").dataset.sessionId, btn);
+      });
+    }
+
+    const btnLogoutAll = document.getElementById("btn-logout-all");
+    if (btnLogoutAll) {
+      btnLogoutAll.addEventListener("click", handleLogoutEverywhere);
+    }
+
+    // --- Logout ---
+    const btnLogout = document.getElementById("btn-logout");
+    if (btnLogout) {
+      btnLogout.addEventListener("click", handleLogout);
+    }
+
+    // --- View My Profile ---
+    const btnViewProfile = document.getElementById("btn-view-profile");
+    if (btnViewProfile) {
+      btnViewProfile.addEventListener("click", () => {
+        closeModal(settingsModal);
+        openProfileModal();
+      });
+    }
+
+    // --- Workspace header click -> open profile ---
+    const wsHeader = document.querySelector(".workspace-header");
+    if (wsHeader) {
+      wsHeader.style.cursor = "pointer";
+      wsHeader.addEventListener("click", openProfileModal);
+    }
+
+    // --- Mobile sidebar toggle ---
+    const btnMobileMenu = document.getElementById("btn-mobile-menu");
+    const sidebar = document.querySelector(".sidebar");
+    const backdrop = document.querySelector(".sidebar-backdrop");
+
+    if (btnMobileMenu && sidebar) {
+      btnMobileMenu.addEventListener("click", () => {
+        sidebar.classList.toggle("open");
+        backdrop?.classList.toggle("visible");
+      });
+    }
+
+    if (backdrop) {
+      backdrop.addEventListener("click", () => {
+        sidebar?.classList.remove("open");
+        backdrop.classList.remove("visible");
+      });
+    }
+
+    // --- Copy profile ID (or the 2FA key) ---
+    document.addEventListener("click", (e) => {
+      const copyBtn = e.target.closest(".copy-btn");
+      if (copyBtn) {
+        const idText = copyBtn
+          .closest(".profile-id")
+          ?.querySelector(".id-text")?.textContent;
+        const label = copyBtn.dataset.copyLabel || "User ID";
+        if (idText) {
+          navigator.clipboard
+            // The 2FA key is shown in groups for reading
+            .writeText(idText.replace(/\s+/g, ""))
+            .then(() => {
+              showToast(`${label} copied to clipboard!`, "success");
+            })
+            .catch(() => {
+              showToast("Failed to copy.", "error");
+            });
+        }
+      }
+    });
+
+    // Initial char count
+    updateCharCount();
+  }
+
+  // ── Add Friend handler ──────────────────────────────────────────────
+
+  async function handleAddFriend(e) {
+    e.preventDefault();
+
+    const input = document.getElementById("add-friend-id");
+    const msgEl = document.getElementById("add-friend-message");
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    if (!input) return;
+
+    const friendId = input.value.trim();
+
+    if (!friendId) {
+      showModalMessage(
+        msgEl,
+        "Please enter a username, name or User ID.",
+        "error",
+      );
+      return;
+    }
+
+    // Anything that isn't a UUID is a search – run it now instead of
+    // waiting for the debounce
+    if (!UUID_REGEX.test(friendId)) {
+      searchUsers(friendId);
+      return;
+    }
+
+    if (friendId === currentUser.user_id) {
+      showModalMessage(msgEl, "You cannot add yourself as a friend!", "error");
+      return;
+    }
+
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+      const result = await GigaAPI.Friends.add(friendId);
+      const status = result.status || "done";
+
+      if (status === "accepted") {
+        showModalMessage(
+          msgEl,
+          "Friend request accepted! You are now friends.",
+          "success",
+        );
+      } else if (status === "pending") {
+        showModalMessage(
+          msgEl,
+          "Friend request sent! Waiting for them to accept.",
+          "success",
+        );
+      } else {
+        showModalMessage(msgEl, "Friend added!", "success");
+      }
+
+      input.value = "";
+
+      // Refresh friends list and requests
+      await Promise.all([loadFriends(), loadPendingRequests()]);
+    } catch (err) {
+      showModalMessage(msgEl, err.message || "Failed to add friend.", "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  function openAddFriendModal() {
+    const input = document.getElementById("add-friend-id");
+    const msgEl = document.getElementById("add-friend-message");
+    const resultsEl = document.getElementById("add-friend-results");
+
+    if (input) input.value = "";
+    if (msgEl) msgEl.style.display = "none";
+    if (resultsEl) resultsEl.innerHTML = "";
+
+    openModal(addFriendModal);
+    input?.focus();
+  }
+
+  // ── User search (Add Friend modal) ──────────────────────────────────
+
+  let userSearchSeq = 0; // ignores responses to outdated queries
+  let userSearchResults = [];
+
+  async function searchUsers(rawQuery) {
+    const resultsEl = document.getElementById("add-friend-results");
+    if (!resultsEl) return;
+
+    const query = rawQuery.trim();
+    const seq = ++userSearchSeq;
+
+    if (query.length < USER_SEARCH_MIN_LENGTH || UUID_REGEX.test(query)) {
+      userSearchResults = [];
+      resultsEl.innerHTML = UUID_REGEX.test(query)
+        ? `<div class="user-search-hint">Press <b>Send Request</b> to add this User ID.</div>`
+        : "";
+      return;
+    }
+
+    resultsEl.innerHTML = `<div class="user-search-hint">Searching\u2026</div>`;
+
+    try {
+      const data = await GigaAPI.Profile.search(query);
+      if (seq !== userSearchSeq) return;
+      userSearchResults = (data.results || []).filter(
+        (p) => getProfileId(p) !== currentUser.user_id,
+      );
+      renderUserSearchResults();
+    } catch (err) {
+      if (seq !== userSearchSeq) return;
+      resultsEl.innerHTML = `<div class="user-search-hint">Search failed: ${escapeHtml(err.message)}</div>`;
+    }
+  }
+
+  function renderUserSearchResults() {
+    const resultsEl = document.getElementById("add-friend-results");
+    if (!resultsEl) return;
+
+    if (userSearchResults.length === 0) {
+      resultsEl.innerHTML = `<div class="user-search-hint">No users found. You can also paste a User ID.</div>`;
+      return;
+    }
+
+    resultsEl.innerHTML = userSearchResults
+      .map((profile) => {
+        const userId = getProfileId(profile);
+        const displayName = profile.display_name || profile.username || "User";
+        const color = getAvatarColor(userId);
+
+        return `
+          <div class="pending-item" data-user-id="${userId}">
+            <div class="friend-avatar" style="background:${color}">
+              ${escapeHtml(displayName.charAt(0).toUpperCase())}
+              ${buildAvatarImg(profile.avatar_url)}
+            </div>
+            <div class="friend-info">
+              <div class="friend-name">${escapeHtml(displayName)}</div>
+              <div class="friend-status-text">@${escapeHtml(profile.username || "")}</div>
+            </div>
+            ${buildRelationshipAction(userId)}
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  // What we can do with a search result, given where we stand with them
+  function buildRelationshipAction(userId) {
+    if (friends.some((f) => f.friend_id === userId)) {
+      return `<span class="relationship-label">Friends</span>`;
+    }
+    const pending = pendingRequests.find((r) => r.userId === userId);
+    if (pending && pending.outgoing) {
+      return `<span class="relationship-label">Request pending</span>`;
+    }
+    if (pending) {
+      return `<button type="button" class="btn-accept" data-action="accept">Accept</button>`;
+    }
+    return `<button type="button" class="btn-accept" data-action="add">Add</button>`;
+  }
+
+  async function handleSearchResultAction(btn) {
+    const userId = btn.closest(".pending-item").dataset.userId;
+    const msgEl = document.getElementById("add-friend-message");
+
+    btn.disabled = true;
+    try {
+      const result = await GigaAPI.Friends.add(userId);
+      showModalMessage(
+        msgEl,
+        result.status === "accepted"
+          ? "Friend request accepted! You are now friends."
+          : "Friend request sent! Waiting for them to accept.",
+        "success",
+      );
+      await Promise.all([loadFriends(), loadPendingRequests()]);
+      renderUserSearchResults();
+    } catch (err) {
+      showModalMessage(msgEl, err.message || "Failed to add friend.", "error");
+      btn.disabled = false;
+    }
+  }
+
+  function getProfileId(profile) {
+    return profile.id || profile.user_id;
+  }
+
+  // ── Blocking, muting and reporting ──────────────────────────────────
+  // Blocking is server-side (it ends the friendship and stops new
+  // messages), but history still contains what they sent, so blocked
+  // users' messages are also filtered out here. Muting a friend is kept
+  // on the server too, so it follows the user to their other devices.
+
+  let friendMenu = null; // the open friend context menu
+  let reportTargetId = null; // user the report modal is about
+
+  async function loadBlockedUsers() {
+    let list;
+    try {
+      const data = await GigaAPI.Friends.blocked();
+      list = data.blocked || [];
+      GigaStore.set("blocked", list);
+    } catch {
+      list = (await GigaStore.get("blocked")) || [];
+    }
+    blockedUsers.clear();
+    list.forEach((profile) => blockedUsers.set(getProfileId(profile), profile));
+  }
+
+  function isBlocked(userId) {
+    return blockedUsers.has(userId);
+  }
+
+  async function loadMutedFriends() {
+    let list;
+    try {
+      const data = await GigaAPI.Friends.muted();
+      list = data.muted || [];
+      GigaStore.set("muted", list);
+    } catch {
+      list = (await GigaStore.get("muted")) || [];
+    }
+    mutedFriends.clear();
+    list.forEach((userId) => mutedFriends.add(userId));
+  }
+
+  // Also true when only their conversation was muted in the settings
+  function isFriendMuted(friendId) {
+    return (
+      mutedFriends.has(friendId) ||
+      notifySettings.muted.includes(findDmConversation(friendId))
+    );
+  }
+
+  // Unmuting clears the conversation's local mute as well, or the
+  // friend would stay muted without a way to tell why
+  async function setFriendMuted(friendId, muted) {
+    try {
+      if (muted) await GigaAPI.Friends.mute(friendId);
+      else await GigaAPI.Friends.unmute(friendId);
+    } catch (err) {
+      showToast(
+        `Failed to ${muted ? "mute" : "unmute"}: ${err.message}`,
+        "error",
+      );
+      return false;
+    }
+
+    if (muted) mutedFriends.add(friendId);
+    else mutedFriends.delete(friendId);
+    GigaStore.set("muted", [...mutedFriends]);
+
+    const conversationId = findDmConversation(friendId);
+    if (!muted && conversationId) setMuted(conversationId, false);
+    updateTitleBadge();
+    refreshFriendList();
+    return true;
+  }
+
+  function openFriendMenu(friendId, x, y) {
+    closeFriendMenu();
+
+    const muted = isFriendMuted(friendId);
+    friendMenu = document.createElement("div");
+    friendMenu.className = "context-menu";
+    friendMenu.setAttribute("role", "menu");
+    friendMenu.innerHTML = `
+      <button type="button" class="context-menu-item" role="menuitem" data-action="mute">
+        ${muted ? "\u{1F514} Unmute" : "\u{1F515} Mute"}
+      </button>
+      <button type="button" class="context-menu-item" role="menuitem" data-action="remove">
+        \u{1F44B} Remove friend
+      </button>
+      <button type="button" class="context-menu-item danger" role="menuitem" data-action="block">
+        \u{1F6AB} Block
+      </button>
+      <button type="button" class="context-menu-item danger" role="menuitem" data-action="report">
+        \u{1F6A9} Report\u2026
+      </button>
+    `;
+    friendMenu.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-action]");
+      if (!item) return;
+      closeFriendMenu();
+      handleFriendAction(item.dataset.action, friendId);
+    });
+    document.body.appendChild(friendMenu);
+
+    // At the pointer, kept on screen
+    const size = friendMenu.getBoundingClientRect();
+    friendMenu.style.left = `${Math.max(8, Math.min(x, window.innerWidth - size.width - 8))}px`;
+    friendMenu.style.top = `${Math.max(8, Math.min(y, window.innerHeight - size.height - 8))}px`;
+    friendMenu.querySelector(".context-menu-item")?.focus();
+  }
+
+  function closeFriendMenu() {
+    if (!friendMenu) return;
+    friendMenu.remove();
+    friendMenu = null;
+  }
+
+  function handleFriendAction(action, friendId) {
+    if (action === "mute") toggleFriendMute(friendId);
+    else if (action === "remove") handleRemoveFriend(friendId);
+    else if (action === "block") handleBlockUser(friendId);
+    else if (action === "report") openReportModal(friendId);
+  }
+
+  async function toggleFriendMute(friendId) {
+    const muted = !isFriendMuted(friendId);
+    if (!(await setFriendMuted(friendId, muted))) return;
+    showToast(
+      `${getUserName(friendId)} is ${muted ? "muted" : "unmuted"}.`,
+      "info",
+    );
+  }
+
+  async function handleRemoveFriend(friendId) {
+    const name = getUserName(friendId);
+    if (!confirm(`Remove ${name} from your friends?`)) return;
+
+    try {
+      await GigaAPI.Friends.remove(friendId);
+    } catch (err) {
+      showToast("Failed to remove friend: " + err.message, "error");
+      return;
+    }
+
+    dropFriend(friendId);
+    showToast(`${name} was removed from your friends.`, "info");
+  }
+
+  function dropFriend(friendId) {
+    friends = friends.filter((f) => f.friend_id !== friendId);
+    GigaStore.set("friends", friends);
+    if (activeFriendId === friendId) closeConversation();
+    refreshFriendList();
+  }
+
+  async function handleBlockUser(userId) {
+    const name = getUserName(userId);
+    if (
+      !confirm(
+        `Block ${name}? Their messages will be hidden and they won't be able to send you friend requests.`,
+      )
+    ) {
+      return;
+    }
+
+    await blockUser(userId);
+  }
+
+  // Without asking: the report form has its own "also block" choice
+  async function blockUser(userId) {
+    const name = getUserName(userId);
+    try {
+      await GigaAPI.Friends.block(userId);
+    } catch (err) {
+      showToast("Failed to block: " + err.message, "error");
+      return;
+    }
+
+    const friend = friends.find((f) => f.friend_id === userId);
+    blockedUsers.set(userId, {
+      user_id: userId,
+      username: friend?.username || knownUsers.get(userId)?.username,
+      display_name: name,
+    });
+    dropFriend(userId);
+    applyBlockList();
+    showToast(`${name} is blocked.`, "info");
+  }
+
+  async function handleUnblockUser(userId) {
+    const profile = blockedUsers.get(userId);
+    const name = profile?.display_name || profile?.username || "User";
+
+    try {
+      await GigaAPI.Friends.unblock(userId);
+    } catch (err) {
+      showToast("Failed to unblock: " + err.message, "error");
+      renderBlockedList();
+      return;
+    }
+
+    blockedUsers.delete(userId);
+    applyBlockList();
+    showToast(`${name} is unblocked.`, "info");
+  }
+
+  // Show or hide their messages everywhere after the list changed
+  function applyBlockList() {
+    GigaStore.set("blocked", [...blockedUsers.values()]);
+    if (activeConversationId) renderMessages();
+    renderBlockedList();
+    refreshFriendList();
+  }
+
+  function renderBlockedList() {
+    const listEl = document.getElementById("settings-blocked-list");
+    if (!listEl) return;
+
+    if (blockedUsers.size === 0) {
+      listEl.innerHTML =
+        '<div class="friend-list-empty">You haven\u2019t blocked anyone.</div>';
+      return;
+    }
+
+    listEl.innerHTML = [...blockedUsers.entries()]
+      .map(([userId, profile]) => {
+        const name = profile.display_name || profile.username || "User";
+        return `
+          <div class="pending-item" data-user-id="${escapeHtml(userId)}">
+            <div class="friend-avatar" style="background:${getAvatarColor(userId)}">
+              ${escapeHtml(name.charAt(0).toUpperCase())}
+              ${buildAvatarImg(profile.avatar_url)}
+            </div>
+            <div class="friend-name">${escapeHtml(name)}</div>
+            <button type="button" class="btn-decline" data-action="unblock">Unblock</button>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  function openReportModal(userId) {
+    reportTargetId = userId;
+
+    const targetEl = document.getElementById("report-target");
+    const reasonSelect = document.getElementById("report-reason");
+    const detailsInput = document.getElementById("report-details");
+    const blockInput = document.getElementById("report-block");
+    const msgEl = document.getElementById("report-message");
+
+    if (targetEl) targetEl.textContent = getUserName(userId);
+    if (reasonSelect) reasonSelect.selectedIndex = 0;
+    if (detailsInput) detailsInput.value = "";
+    if (blockInput) blockInput.checked = false;
+    if (msgEl) msgEl.style.display = "none";
+
+    openModal(reportModal);
+  }
+
+  async function handleReportUser(e) {
+    e.preventDefault();
+    if (!reportTargetId) return;
+
+    const userId = reportTargetId;
+    const reason = document.getElementById("report-reason")?.value;
+    const details = document.getElementById("report-details")?.value.trim();
+    const alsoBlock = document.getElementById("report-block")?.checked;
+    const msgEl = document.getElementById("report-message");
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    if (!reason) {
+      showModalMessage(msgEl, "Please choose a reason.", "error");
+      return;
+    }
+
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+      await GigaAPI.Friends.report(userId, reason, details);
+    } catch (err) {
+      showModalMessage(msgEl, "Failed to send report: " + err.message, "error");
+      return;
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+
+    closeModal(reportModal);
+    reportTargetId = null;
+    showToast("Thanks \u2014 your report was sent to the moderators.", "success");
+    if (alsoBlock) await blockUser(userId);
+  }
+
+  // ── Notifications ───────────────────────────────────────────────────
+  // Opt-in desktop alerts for messages that arrive while the tab is in
+  // the background, plus an unread count in the tab title. Muted
+  // conversations neither notify nor count towards the title.
+
+  function loadNotifySettings() {
+    const stored = readStorage(NOTIFY_SETTINGS_STORAGE_KEY, {});
+    notifySettings = {
+      ...DEFAULT_NOTIFY_SETTINGS,
+      ...stored,
+      quietHours: {
+        ...DEFAULT_NOTIFY_SETTINGS.quietHours,
+        ...stored.quietHours,
+      },
+    };
+  }
+
+  function saveNotifySettings() {
+    writeStorage(NOTIFY_SETTINGS_STORAGE_KEY, notifySettings);
+  }
+
+  // A direct conversation is also muted when its friend is
+  function isMuted(conversationId) {
+    const friendId = conversationSummaries.get(conversationId)?.friendId;
+    return (
+      notifySettings.muted.includes(conversationId) ||
+      mutedFriends.has(friendId)
+    );
+  }
+
+  function setMuted(conversationId, muted) {
+    const others = notifySettings.muted.filter((id) => id !== conversationId);
+    notifySettings.muted = muted ? others.concat(conversationId) : others;
+    saveNotifySettings();
+    updateTitleBadge();
+  }
+
+  // Direct conversations mute the friend (synced); groups stay local
+  async function handleMuteSetting(input) {
+    const friendId = getSummary(input.value).friendId;
+    if (!friendId) {
+      setMuted(input.value, input.checked);
+      return;
+    }
+    if (!(await setFriendMuted(friendId, input.checked))) {
+      input.checked = !input.checked;
+    }
+  }
+
+  // "HH:MM" -> minutes since midnight
+  function parseClockTime(value) {
+    const [hours, minutes] = (value || "").split(":").map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  // Quiet hours may wrap past midnight (22:00 - 07:00)
+  function isQuietTime(now = new Date()) {
+    const { enabled, start, end } = notifySettings.quietHours;
+    if (!enabled) return false;
+
+    const from = parseClockTime(start);
+    const to = parseClockTime(end);
+    const current = now.getHours() * 60 + now.getMinutes();
+    if (from === to) return false;
+    return from < to
+      ? current >= from && current < to
+      : current >= from || current < to;
+  }
+
+  function canNotify() {
+    return (
+      notifySettings.enabled &&
+      "Notification" in window &&
+      Notification.permission === "granted"
+    );
+  }
+
+  async function notifyMessage(conversationId, msg) {
+    if (
+      msg.sender_id === currentUser.user_id ||
+      !canNotify() ||
+      isMuted(conversationId) ||
+      isQuietTime() ||
+      (document.visibilityState === "visible" && document.hasFocus())
+    ) {
+      return;
+    }
+
+    // Group members we haven't seen yet need a name first
+    await resolveUsers([msg.sender_id]);
+
+    const group = groupConversations.get(conversationId);
+    const sender = getUserName(msg.sender_id);
+    const preview = getPreviewText(msg);
+    const notification = new Notification(
+      group ? `${sender} in ${group.name}` : sender,
+      {
+        body:
+          preview.length > NOTIFICATION_PREVIEW_LENGTH
+            ? preview.slice(0, NOTIFICATION_PREVIEW_LENGTH) + "\u2026"
+            : preview,
+        tag: conversationId, // one notification per conversation
+      },
+    );
+
+    notification.addEventListener("click", () => {
+      window.focus();
+      notification.close();
+      openConversationById(conversationId);
+    });
+  }
+
+  function updateTitleBadge() {
+    let unread = 0;
+    conversationSummaries.forEach((summary, conversationId) => {
+      if (!isMuted(conversationId)) unread += summary.unread;
+    });
+    document.title = unread > 0 ? `(${unread}) ${BASE_TITLE}` : BASE_TITLE;
+  }
+
+  function renderNotificationSettings() {
+    const enabledInput = document.getElementById("settings-notify-enabled");
+    const quietInput = document.getElementById("settings-quiet-enabled");
+    const quietStart = document.getElementById("settings-quiet-start");
+    const quietEnd = document.getElementById("settings-quiet-end");
+    const muteList = document.getElementById("settings-mute-list");
+
+    if (enabledInput) enabledInput.checked = canNotify();
+    if (quietInput) quietInput.checked = notifySettings.quietHours.enabled;
+    if (quietStart) quietStart.value = notifySettings.quietHours.start;
+    if (quietEnd) quietEnd.value = notifySettings.quietHours.end;
+
+    if (!muteList) return;
+    const conversations = [...conversationSummaries.entries()]
+      .filter(([, summary]) => summary.friendId || summary.isGroup)
+      .map(([conversationId, summary]) => ({
+        conversationId,
+        avatarId: summary.friendId || conversationId,
+        avatarUrl: summary.friendId ? getAvatarUrl(summary.friendId) : null,
+        label: getConversationLabel(conversationId),
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+
+    muteList.innerHTML = conversations.length
+      ? conversations
+          .map(
+            ({ conversationId, avatarId, avatarUrl, label }) => `
+              <label class="member-picker-item">
+                <input type="checkbox" value="${escapeHtml(conversationId)}"
+                  ${isMuted(conversationId) ? "checked" : ""} />
+                <span class="friend-avatar" style="background:${getAvatarColor(avatarId)}">
+                  ${escapeHtml(label.charAt(0).toUpperCase())}
+                  ${buildAvatarImg(avatarUrl)}
+                </span>
+                <span class="friend-name">${escapeHtml(label)}</span>
+              </label>
+            `,
+          )
+          .join("")
+      : '<div class="friend-list-empty">No conversations yet.</div>';
+  }
+
+  // Turning notifications on asks the browser for permission first
+  async function handleNotifyToggle(e) {
+    const input = e.target;
+    if (!input.checked) {
+      notifySettings.enabled = false;
+      saveNotifySettings();
+      return;
+    }
+
+    if (!("Notification" in window)) {
+      input.checked = false;
+      showToast("This browser doesn't support notifications.", "error");
+      return;
+    }
+
+    const permission =
+      Notification.permission === "default"
+        ? await Notification.requestPermission()
+        : Notification.permission;
+    if (permission !== "granted") {
+      input.checked = false;
+      showToast(
+        "Notifications are blocked. Allow them in your browser settings.",
+        "error",
+      );
+      return;
+    }
+
+    notifySettings.enabled = true;
+    saveNotifySettings();
+  }
+
+  function handleQuietHoursChange() {
+    const quietInput = document.getElementById("settings-quiet-enabled");
+    const quietStart = document.getElementById("settings-quiet-start");
+    const quietEnd = document.getElementById("settings-quiet-end");
+
+    notifySettings.quietHours = {
+      enabled: !!quietInput?.checked,
+      start: quietStart?.value || DEFAULT_NOTIFY_SETTINGS.quietHours.start,
+      end: quietEnd?.value || DEFAULT_NOTIFY_SETTINGS.quietHours.end,
+    };
+    saveNotifySettings();
+  }
+
+  // ── Settings / Edit Profile ─────────────────────────────────────────
+
+  async function openSettingsModal() {
+    // Pre-fill with current profile data
+    const displayNameInput = document.getElementById("settings-display-name");
+    const bioInput = document.getElementById("settings-bio");
+
+    if (currentProfile) {
+      if (displayNameInput)
+        displayNameInput.value = currentProfile.display_name || "";
+      if (bioInput) bioInput.value = currentProfile.bio || "";
+    }
+    renderSettingsAvatar();
+    renderNotificationSettings();
+    renderBlockedList();
+    loadTwoFactorStatus();
+    loadSessions();
+
+    openModal(settingsModal);
+  }
+
+  async function handleEditProfile(e) {
+    e.preventDefault();
+
+    const displayNameInput = document.getElementById("settings-display-name");
+    const bioInput = document.getElementById("settings-bio");
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    const fields = {};
+    if (displayNameInput && displayNameInput.value.trim()) {
+      fields.display_name = displayNameInput.value.trim();
+    }
+    if (bioInput) {
+      fields.bio = bioInput.value.trim();
+    }
+
+    if (Object.keys(fields).length === 0) {
+      showToast("No changes to save.", "info");
+      return;
+    }
+
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+      const updated = await GigaAPI.Profile.updateProfile(
+        currentUser.user_id,
+        fields,
+      );
+      currentProfile = updated;
+      updateWorkspaceHeader();
+      showToast("Profile updated!", "success");
+      closeModal(settingsModal);
+    } catch (err) {
+      showToast("Failed to update profile: " + err.message, "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  // ── Avatar upload ───────────────────────────────────────────────────
+  // The chosen image is cropped to a square on a canvas (drag to move,
+  // slider or wheel to zoom), scaled to AVATAR_SIZE and uploaded as JPEG.
+
+  let avatarCrop = null; // { image, url, baseScale, scale, x, y, drag }
+
+  function renderSettingsAvatar() {
+    const preview = document.getElementById("settings-avatar-preview");
+    const btnRemove = document.getElementById("btn-avatar-remove");
+    const name =
+      (currentProfile &&
+        (currentProfile.display_name || currentProfile.username)) ||
+      currentUser.username ||
+      "User";
+    const avatarUrl = currentProfile && currentProfile.avatar_url;
+
+    if (preview) {
+      preview.innerHTML =
+        escapeHtml(name.charAt(0).toUpperCase()) + buildAvatarImg(avatarUrl);
+    }
+    if (btnRemove) btnRemove.hidden = !avatarUrl;
+  }
+
+  function handleAvatarFileChosen(e) {
+    const file = e.target.files[0];
+    e.target.value = ""; // so picking the same file again still fires
+    if (!file) return;
+
+    if (!IMAGE_TYPES.includes(file.type)) {
+      showToast("Choose a PNG, JPEG, GIF or WebP image.", "error");
+      return;
+    }
+    if (file.size > MAX_AVATAR_SOURCE_SIZE) {
+      showToast(
+        `Images must be under ${formatFileSize(MAX_AVATAR_SOURCE_SIZE)}.`,
+        "error",
+      );
+      return;
+    }
+    openAvatarCrop(file);
+  }
+
+  async function openAvatarCrop(file) {
+    discardAvatarCrop();
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.src = url;
+    try {
+      await image.decode();
+    } catch {
+      URL.revokeObjectURL(url);
+      showToast("That image couldn't be read.", "error");
+      return;
+    }
+
+    // Start with the image just covering the square, centred
+    const baseScale = Math.max(
+      AVATAR_CROP_VIEW / image.naturalWidth,
+      AVATAR_CROP_VIEW / image.naturalHeight,
+    );
+    avatarCrop = {
+      image,
+      url,
+      baseScale,
+      scale: baseScale,
+      x: (AVATAR_CROP_VIEW - image.naturalWidth * baseScale) / 2,
+      y: (AVATAR_CROP_VIEW - image.naturalHeight * baseScale) / 2,
+      drag: null,
+    };
+
+    const zoomInput = document.getElementById("avatar-crop-zoom");
+    const msgEl = document.getElementById("avatar-crop-message");
+    if (zoomInput) {
+      zoomInput.max = String(AVATAR_MAX_ZOOM);
+      zoomInput.value = "1";
+    }
+    if (msgEl) msgEl.style.display = "none";
+
+    drawAvatarCrop();
+    openModal(avatarCropModal);
+  }
+
+  function discardAvatarCrop() {
+    if (avatarCrop) URL.revokeObjectURL(avatarCrop.url);
+    avatarCrop = null;
+  }
+
+  // The square must stay fully covered by the image
+  function clampAvatarCrop() {
+    const width = avatarCrop.image.naturalWidth * avatarCrop.scale;
+    const height = avatarCrop.image.naturalHeight * avatarCrop.scale;
+    const minX = AVATAR_CROP_VIEW - width;
+    const minY = AVATAR_CROP_VIEW - height;
+    avatarCrop.x = Math.min(0, Math.max(minX, avatarCrop.x));
+    avatarCrop.y = Math.min(0, Math.max(minY, avatarCrop.y));
+  }
+
+  function drawAvatarCrop() {
+    if (!avatarCropCanvas || !avatarCrop) return;
+    const ctx = avatarCropCanvas.getContext("2d");
+    const { image, x, y, scale } = avatarCrop;
+    const size = AVATAR_CROP_VIEW;
+
+    ctx.clearRect(0, 0, size, size);
+    ctx.drawImage(
+      image,
+      x,
+      y,
+      image.naturalWidth * scale,
+      image.naturalHeight * scale,
+    );
+
+    // Dim the corners that a round avatar cuts off
+    ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
+    ctx.beginPath();
+    ctx.rect(0, 0, size, size);
+    ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+    ctx.fill("evenodd");
+  }
+
+  // Zooms around the middle of the square
+  function setAvatarZoom(zoom) {
+    if (!avatarCrop) return;
+    const center = AVATAR_CROP_VIEW / 2;
+    const scale = avatarCrop.baseScale * zoom;
+    const factor = scale / avatarCrop.scale;
+
+    avatarCrop.x = center - (center - avatarCrop.x) * factor;
+    avatarCrop.y = center - (center - avatarCrop.y) * factor;
+    avatarCrop.scale = scale;
+    clampAvatarCrop();
+    drawAvatarCrop();
+  }
+
+  function handleAvatarCropPointerDown(e) {
+    if (!avatarCrop) return;
+    avatarCropCanvas.setPointerCapture(e.pointerId);
+    avatarCrop.drag = { x: e.clientX, y: e.clientY };
+  }
+
+  function handleAvatarCropPointerMove(e) {
+    if (!avatarCrop || !avatarCrop.drag) return;
+
+    // The canvas may be drawn smaller than its pixel size on narrow screens
+    const ratio =
+      AVATAR_CROP_VIEW / avatarCropCanvas.getBoundingClientRect().width;
+    avatarCrop.x += (e.clientX - avatarCrop.drag.x) * ratio;
+    avatarCrop.y += (e.clientY - avatarCrop.drag.y) * ratio;
+    avatarCrop.drag = { x: e.clientX, y: e.clientY };
+    clampAvatarCrop();
+    drawAvatarCrop();
+  }
+
+  function handleAvatarCropPointerUp() {
+    if (avatarCrop) avatarCrop.drag = null;
+  }
+
+  function handleAvatarCropWheel(e) {
+    const zoomInput = document.getElementById("avatar-crop-zoom");
+    if (!avatarCrop || !zoomInput) return;
+    e.preventDefault();
+
+    const zoom = Math.min(
+      AVATAR_MAX_ZOOM,
+      Math.max(1, Number(zoomInput.value) - e.deltaY * 0.002),
+    );
+    zoomInput.value = String(zoom);
+    setAvatarZoom(zoom);
+  }
+
+  // Draw the visible square at AVATAR_SIZE and encode it
+  function exportAvatarCrop() {
+    const { image, x, y, scale } = avatarCrop;
+    const out = document.createElement("canvas");
+    out.width = AVATAR_SIZE;
+    out.height = AVATAR_SIZE;
+
+    const ctx = out.getContext("2d");
+    ctx.fillStyle = "#fff"; // JPEG has no transparency
+    ctx.fillRect(0, 0, AVATAR_SIZE, AVATAR_SIZE);
+    ctx.drawImage(
+      image,
+      -x / scale,
+      -y / scale,
+      AVATAR_CROP_VIEW / scale,
+      AVATAR_CROP_VIEW / scale,
+      0,
+      0,
+      AVATAR_SIZE,
+      AVATAR_SIZE,
+    );
+
+    return new Promise((resolve) => {
+      out.toBlob(resolve, "image/jpeg", AVATAR_JPEG_QUALITY);
+    });
+  }
+
+  async function handleSaveAvatar(e) {
+    if (!avatarCrop) return;
+    const btn = e.currentTarget;
+    const msgEl = document.getElementById("avatar-crop-message");
+
+    btn.disabled = true;
+    try {
+      const blob = await exportAvatarCrop();
+      if (!blob) throw new Error("Could not process the image");
+      currentProfile = await GigaAPI.Profile.uploadAvatar(
+        currentUser.user_id,
+        blob,
+      );
+    } catch (err) {
+      showModalMessage(msgEl, "Failed to upload: " + err.message, "error");
+      return;
+    } finally {
+      btn.disabled = false;
+    }
+
+    discardAvatarCrop();
+    closeModal(avatarCropModal);
+    applyOwnAvatarChange();
+    showToast("Avatar updated!", "success");
+  }
+
+  async function handleRemoveAvatar() {
+    if (!confirm("Remove your avatar?")) return;
+
+    try {
+      currentProfile = await GigaAPI.Profile.removeAvatar(currentUser.user_id);
+    } catch (err) {
+      showToast("Failed to remove avatar: " + err.message, "error");
+      return;
+    }
+    applyOwnAvatarChange();
+    showToast("Avatar removed.", "info");
+  }
+
+  function applyOwnAvatarChange() {
+    GigaStore.set("profile", currentProfile);
+    updateWorkspaceHeader();
+    renderSettingsAvatar();
+    // Our own messages show it too
+    if (activeConversationId) renderMessages();
+  }
+
+  // ── Active sessions ─────────────────────────────────────────────────
+
+  let sessionsSeq = 0; // ignores a slow list that finishes after a newer one
+
+  async function loadSessions() {
+    const listEl = document.getElementById("settings-session-list");
+    if (!listEl) return;
+
+    const seq = ++sessionsSeq;
+    listEl.innerHTML = '<div class="loading-spinner"></div>';
+
+    let sessions;
+    try {
+      const data = await GigaAPI.Auth.sessions();
+      sessions = data.sessions || [];
+    } catch (err) {
+      if (seq !== sessionsSeq) return;
+      listEl.innerHTML = `<div class="friend-list-empty">Could not load sessions: ${escapeHtml(err.message)}</div>`;
+      return;
+    }
+    if (seq !== sessionsSeq) return;
+
+    // This device first, then the most recently used
+    sessions.sort(
+      (a, b) =>
+        Number(b.current) - Number(a.current) ||
+        new Date(b.last_seen_at) - new Date(a.last_seen_at),
+    );
+
+    listEl.innerHTML = sessions
+      .map((session) => {
+        const device = describeUserAgent(session.user_agent);
+        const details = [
+          session.ip ? `IP ${session.ip}` : "",
+          session.current
+            ? "Active now"
+            : formatLastSeen(session.last_seen_at || session.created_at),
+        ].filter(Boolean);
+
+        return `
+          <div class="pending-item" data-session-id="${escapeHtml(session.id)}">
+            <div class="session-icon">${device.mobile ? "\u{1F4F1}" : "\u{1F4BB}"}</div>
+            <div class="friend-info">
+              <div class="friend-name">
+                ${escapeHtml(device.label)}
+                ${session.current ? '<span class="chat-tag">this device</span>' : ""}
+              </div>
+              <div class="friend-status-text">${escapeHtml(details.join(" \u00b7 "))}</div>
+            </div>
+            ${
+              session.current
+                ? ""
+                : '<button type="button" class="btn-decline" data-action="revoke">Sign out</button>'
+            }
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  async function handleRevokeSession(sessionId, btn) {
+    if (!confirm("Sign out this device?")) return;
+
+    btn.disabled = true;
+    try {
+      await GigaAPI.Auth.revokeSession(sessionId);
+    } catch (err) {
+      btn.disabled = false;
+      showToast("Failed to sign out device: " + err.message, "error");
+      return;
+    }
+    btn.closest(".pending-item")?.remove();
+    showToast("Device signed out.", "success");
+  }
+
+  async function handleLogoutEverywhere() {
+    if (
+      !confirm("Sign out of GigaChat on every device, including this one?")
+    ) {
+      return;
+    }
+
+    sessionEnded = true;
+    announcePresence("offline");
+    GigaAPI.Realtime.closeAll();
+    try {
+      await GigaAPI.Auth.logoutAll();
+    } catch (err) {
+      sessionEnded = false;
+      showToast("Failed to sign out everywhere: " + err.message, "error");
+      return;
     }
+    await endSession("index.html");
+  }
 
-    // --- Copy profile ID ---
-    document.addEventListener("click", (e) => {
-      if (e.target.closest(".copy-btn")) {
-        const idText = e.target
-          .closest(".profile-id")
-          ?.querySelector(".id-text")?.textContent;
-        if (idText) {
-          navigator.clipboard
-            .writeText(idText.trim())
-            .then(() => {
-              showToast("User ID copied to clipboard!", "success");
-            })
-            .catch(() => {
-              showToast("Failed to copy.", "error");
-            });
-        }
-      }
-    });
+  // "Chrome on Windows", good enough to recognise your own devices
+  function describeUserAgent(userAgent = "") {
+    const browsers = [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+    ];
+    const systems = [
+      [/iPhone|iPad|iPod/, "iOS"],
+      [/Android/, "Android"],
+      [/Windows/, "Windows"],
+      [/Mac OS X|Macintosh/, "macOS"],
+      [/CrOS/, "ChromeOS"],
+      [/Linux/, "Linux"],
+    ];
+    const browser = browsers.find(([regex]) => regex.test(userAgent))?.[1];
+    const system = systems.find(([regex]) => regex.test(userAgent))?.[1];
+
+    let label = "Unknown device";
+    if (browser && system) label = `${browser} on ${system}`;
+    else if (browser || system) label = browser || system;
+
+    return {
+      label,
+      mobile: /Mobi|Android|iPhone|iPad/.test(userAgent),
+    };
+  }
 
-    // Initial char count
-    updateCharCount();
+  function formatLastSeen(isoString) {
+    const relative = formatRelativeTime(isoString);
+    if (!relative) return "";
+    if (relative === "now") return "Active now";
+    // "5m" / "3h" read as durations, the rest are dates
+    return /^\d/.test(relative)
+      ? `Last active ${relative} ago`
+      : `Last active ${relative}`;
   }
 
-  // ── Add Friend handler ──────────────────────────────────────────────
+  // ── Password and account ────────────────────────────────────────────
 
-  async function handleAddFriend(e) {
+  function openPasswordModal() {
+    const form = document.getElementById("password-form");
+    const msgEl = document.getElementById("password-message");
+    const newInput = document.getElementById("password-new");
+
+    if (form) form.reset();
+    if (msgEl) msgEl.style.display = "none";
+    if (newInput) {
+      GigaPassword.updatePasswordStrength("", newInput.closest(".input-group"));
+    }
+
+    openModal(passwordModal);
+    document.getElementById("password-current")?.focus();
+  }
+
+  async function handleChangePassword(e) {
     e.preventDefault();
 
-    const input = document.getElementById("add-friend-id");
-    const msgEl = document.getElementById("add-friend-message");
+    const currentInput = document.getElementById("password-current");
+    const newInput = document.getElementById("password-new");
+    const confirmInput = document.getElementById("password-confirm");
+    const msgEl = document.getElementById("password-message");
     const submitBtn = e.target.querySelector('button[type="submit"]');
 
-    if (!input) return;
-
-    const friendId = input.value.trim();
+    const currentPassword = currentInput.value;
+    const newPassword = newInput.value;
 
-    if (!friendId) {
-      showModalMessage(msgEl, "Please enter a User ID.", "error");
+    if (!currentPassword) {
+      showModalMessage(msgEl, "Please enter your current password.", "error");
+      currentInput.focus();
       return;
     }
-
-    // Basic UUID format check
-    const uuidRegex =
-      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(friendId)) {
+    if (newPassword === currentPassword) {
       showModalMessage(
         msgEl,
-        "Invalid User ID format. It should be a UUID like xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx",
+        "New password must be different from the current one.",
         "error",
       );
+      newInput.focus();
+      return;
+    }
+    const passwordProblem = GigaPassword.passwordProblem(
+      newPassword,
+      accountUserInputs(),
+    );
+    if (passwordProblem) {
+      showModalMessage(msgEl, passwordProblem, "error");
+      newInput.focus();
+      return;
+    }
+    if (newPassword !== confirmInput.value) {
+      showModalMessage(msgEl, "Passwords do not match.", "error");
+      confirmInput.focus();
       return;
     }
 
-    if (friendId === currentUser.user_id) {
-      showModalMessage(msgEl, "You cannot add yourself as a friend!", "error");
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+      await GigaAPI.Auth.changePassword(currentPassword, newPassword);
+    } catch (err) {
+      const msg =
+        err.status === 401 ? "Current password is incorrect." : err.message;
+      showModalMessage(msgEl, msg, "error");
       return;
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
     }
 
+    closeModal(passwordModal);
+    showToast("Password changed. Other devices were signed out.", "success");
+    // The other sessions are gone from the list in Settings
+    loadSessions();
+  }
+
+  function openDeleteAccountModal() {
+    const form = document.getElementById("delete-account-form");
+    const msgEl = document.getElementById("delete-account-message");
+    const expectedEl = document.getElementById("delete-account-expected");
+    const submitBtn = document.getElementById("btn-delete-account-submit");
+
+    if (form) form.reset();
+    if (msgEl) msgEl.style.display = "none";
+    if (expectedEl) expectedEl.textContent = accountUsername();
     if (submitBtn) submitBtn.disabled = true;
 
-    try {
-      const result = await GigaAPI.Friends.add(friendId);
-      const status = result.status || "done";
+    openModal(deleteAccountModal);
+    document.getElementById("delete-account-username")?.focus();
+  }
 
-      if (status === "accepted") {
-        showModalMessage(
-          msgEl,
-          "Friend request accepted! You are now friends.",
-          "success",
-        );
-      } else if (status === "pending") {
-        showModalMessage(
-          msgEl,
-          "Friend request sent! Waiting for them to accept.",
-          "success",
-        );
-      } else {
-        showModalMessage(msgEl, "Friend added!", "success");
-      }
+  // The delete button only unlocks once the username is typed exactly
+  function handleDeleteAccountInput() {
+    const typed = document.getElementById("delete-account-username").value;
+    const submitBtn = document.getElementById("btn-delete-account-submit");
+    if (submitBtn) submitBtn.disabled = typed.trim() !== accountUsername();
+  }
 
-      input.value = "";
+  async function handleDeleteAccount(e) {
+    e.preventDefault();
+
+    const typed = document.getElementById("delete-account-username").value;
+    const passwordInput = document.getElementById("delete-account-password");
+    const msgEl = document.getElementById("delete-account-message");
+    const submitBtn = document.getElementById("btn-delete-account-submit");
+
+    if (typed.trim() !== accountUsername()) return;
+    if (!passwordInput.value) {
+      showModalMessage(msgEl, "Please enter your password.", "error");
+      passwordInput.focus();
+      return;
+    }
 
-      // Refresh friends list
-      await loadFriends();
+    // Like logging out everywhere: the 401s that follow aren't an expiry
+    sessionEnded = true;
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+      await GigaAPI.Auth.deleteAccount(passwordInput.value);
     } catch (err) {
-      showModalMessage(msgEl, err.message || "Failed to add friend.", "error");
-    } finally {
+      sessionEnded = false;
       if (submitBtn) submitBtn.disabled = false;
+      const msg = err.status === 401 ? "Incorrect password." : err.message;
+      showModalMessage(msgEl, msg, "error");
+      return;
     }
+
+    GigaAPI.Realtime.closeAll();
+    clearDraft();
+    await endSession("index.html?account_deleted=1");
   }
 
-  // ── Settings / Edit Profile ─────────────────────────────────────────
+  // Passwords built from these are the first thing an attacker tries
+  function accountUserInputs() {
+    return [
+      accountUsername(),
+      currentProfile ? currentProfile.display_name : "",
+    ];
+  }
 
-  async function openSettingsModal() {
-    // Pre-fill with current profile data
-    const displayNameInput = document.getElementById("settings-display-name");
-    const bioInput = document.getElementById("settings-bio");
-    const avatarInput = document.getElementById("settings-avatar-url");
+  function accountUsername() {
+    return (currentProfile && currentProfile.username) || currentUser.username;
+  }
 
-    if (currentProfile) {
-      if (displayNameInput)
-        displayNameInput.value = currentProfile.display_name || "";
-      if (bioInput) bioInput.value = currentProfile.bio || "";
-      if (avatarInput) avatarInput.value = currentProfile.avatar_url || "";
+  // ── Two-factor authentication ───────────────────────────────────────
+  // Turning it on is two steps: setup() hands out a secret (as a QR code
+  // and as text), and it only takes effect once a code from the app is
+  // confirmed. The recovery codes come back from that call, once.
+
+  let twoFactorEnabled = null; // null until the status has loaded
+  let twoFactorMode = "enable"; // "enable" | "disable" | "recovery"
+  let recoveryCodes = [];
+
+  async function loadTwoFactorStatus() {
+    const statusEl = document.getElementById("settings-2fa-status");
+    const toggleBtn = document.getElementById("btn-2fa-toggle");
+    if (!statusEl || !toggleBtn) return;
+
+    toggleBtn.disabled = true;
+    statusEl.textContent = "Checking\u2026";
+
+    let status;
+    try {
+      status = await GigaAPI.TwoFactor.status();
+    } catch (err) {
+      // The button retries instead of guessing which way to toggle
+      twoFactorEnabled = null;
+      statusEl.textContent = "Could not load status: " + err.message;
+      toggleBtn.textContent = "Retry";
+      toggleBtn.disabled = false;
+      return;
     }
 
-    openModal(settingsModal);
+    twoFactorEnabled = !!status.enabled;
+    if (twoFactorEnabled) {
+      const left = status.recovery_codes_remaining;
+      statusEl.textContent =
+        typeof left === "number"
+          ? `On \u00b7 ${left} recovery code${left === 1 ? "" : "s"} left`
+          : "On";
+      toggleBtn.textContent = "Turn Off";
+    } else {
+      statusEl.textContent = "Off";
+      toggleBtn.textContent = "Turn On";
+    }
+    toggleBtn.disabled = false;
   }
 
-  async function handleEditProfile(e) {
-    e.preventDefault();
+  async function handleTwoFactorToggle() {
+    if (twoFactorEnabled === null) {
+      loadTwoFactorStatus();
+      return;
+    }
+    if (twoFactorEnabled) {
+      showTwoFactorStep("disable");
+      openModal(twoFactorModal);
+      document.getElementById("twofactor-code")?.focus();
+      return;
+    }
 
-    const displayNameInput = document.getElementById("settings-display-name");
-    const bioInput = document.getElementById("settings-bio");
-    const avatarInput = document.getElementById("settings-avatar-url");
-    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const toggleBtn = document.getElementById("btn-2fa-toggle");
+    if (toggleBtn) toggleBtn.disabled = true;
 
-    const fields = {};
-    if (displayNameInput && displayNameInput.value.trim()) {
-      fields.display_name = displayNameInput.value.trim();
+    let setup;
+    try {
+      setup = await GigaAPI.TwoFactor.setup();
+    } catch (err) {
+      showToast("Failed to start setup: " + err.message, "error");
+      return;
+    } finally {
+      if (toggleBtn) toggleBtn.disabled = false;
     }
-    if (bioInput) {
-      fields.bio = bioInput.value.trim();
+
+    const qrImg = document.getElementById("twofactor-qr");
+    if (qrImg) {
+      // Only ever an inline image, never a URL the page would fetch
+      const isImage = /^data:image\//.test(setup.qr_code || "");
+      qrImg.hidden = !isImage;
+      qrImg.src = isImage ? setup.qr_code : "";
+    }
+    const secretEl = document.getElementById("twofactor-secret");
+    if (secretEl) secretEl.textContent = formatTwoFactorSecret(setup.secret);
+
+    showTwoFactorStep("enable");
+    openModal(twoFactorModal);
+  }
+
+  // Switch the modal between its steps
+  function showTwoFactorStep(mode) {
+    twoFactorMode = mode;
+
+    const title = document.getElementById("twofactor-title");
+    const setupEl = document.getElementById("twofactor-setup");
+    const codeGroup = document.getElementById("twofactor-code-group");
+    const codeLabel = document.getElementById("twofactor-code-label");
+    const codeInput = document.getElementById("twofactor-code");
+    const recoveryEl = document.getElementById("twofactor-recovery");
+    const closeBtns = twoFactorModal.querySelectorAll(".modal-close");
+    const submitBtn = document.getElementById("btn-twofactor-submit");
+    const msgEl = document.getElementById("twofactor-message");
+
+    if (msgEl) msgEl.style.display = "none";
+    if (codeInput) codeInput.value = "";
+
+    if (title) {
+      title.textContent =
+        mode === "disable"
+          ? "Turn Off Two-Factor Authentication"
+          : "Two-Factor Authentication";
     }
-    if (avatarInput && avatarInput.value.trim()) {
-      fields.avatar_url = avatarInput.value.trim();
+    if (setupEl) setupEl.hidden = mode !== "enable";
+    if (codeGroup) codeGroup.hidden = mode === "recovery";
+    if (codeLabel) {
+      codeLabel.textContent =
+        mode === "disable"
+          ? "Authentication or recovery code"
+          : "Code from your app";
+    }
+    if (recoveryEl) recoveryEl.hidden = mode !== "recovery";
+    // The codes are shown once: leave only "Done" so they aren't skipped
+    // (Cancel and the header's × both close the modal)
+    closeBtns.forEach((btn) => {
+      btn.hidden = mode === "recovery";
+    });
+    if (submitBtn) {
+      submitBtn.textContent =
+        mode === "recovery"
+          ? "Done"
+          : mode === "disable"
+            ? "Turn Off"
+            : "Turn On";
+      submitBtn.className =
+        mode === "disable" ? "btn-modal-danger" : "btn-modal-primary";
     }
+  }
 
-    if (Object.keys(fields).length === 0) {
-      showToast("No changes to save.", "info");
+  async function handleTwoFactorSubmit(e) {
+    e.preventDefault();
+
+    if (twoFactorMode === "recovery") {
+      recoveryCodes = [];
+      closeModal(twoFactorModal);
       return;
     }
 
-    if (submitBtn) submitBtn.disabled = true;
+    const codeInput = document.getElementById("twofactor-code");
+    const msgEl = document.getElementById("twofactor-message");
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    // Apps show the code as "123 456"
+    const code = codeInput ? codeInput.value.replace(/\s+/g, "") : "";
+
+    if (!code) {
+      showModalMessage(msgEl, "Please enter the code.", "error");
+      codeInput?.focus();
+      return;
+    }
 
+    if (submitBtn) submitBtn.disabled = true;
     try {
-      const updated = await GigaAPI.Profile.updateProfile(
-        currentUser.user_id,
-        fields,
-      );
-      currentProfile = updated;
-      updateWorkspaceHeader();
-      showToast("Profile updated!", "success");
-      closeModal(settingsModal);
+      if (twoFactorMode === "enable") {
+        const data = await GigaAPI.TwoFactor.enable(code);
+        recoveryCodes = data.recovery_codes || [];
+        renderRecoveryCodes();
+        showTwoFactorStep("recovery");
+        showToast("Two-factor authentication is on.", "success");
+      } else {
+        await GigaAPI.TwoFactor.disable(code);
+        closeModal(twoFactorModal);
+        showToast("Two-factor authentication is off.", "success");
+      }
     } catch (err) {
-      showToast("Failed to update profile: " + err.message, "error");
+      const msg =
+        err.status === 400 || err.status === 401
+          ? "That code didn't work. Check your app and try again."
+          : err.message;
+      showModalMessage(msgEl, msg, "error");
+      codeInput?.select();
+      return;
     } finally {
       if (submitBtn) submitBtn.disabled = false;
     }
+
+    loadTwoFactorStatus();
+  }
+
+  function renderRecoveryCodes() {
+    const listEl = document.getElementById("twofactor-recovery-list");
+    if (!listEl) return;
+    listEl.innerHTML = recoveryCodes
+      .map((code) => `<li>${escapeHtml(code)}</li>`)
+      .join("");
+  }
+
+  function recoveryCodesText() {
+    const account = currentProfile ? `@${currentProfile.username}` : "";
+    return [
+      `GigaChat recovery codes ${account}`.trim(),
+      "Each code can be used once to log in without your authenticator app.",
+      "",
+      ...recoveryCodes,
+      "",
+    ].join("\n");
+  }
+
+  function handleDownloadRecoveryCodes() {
+    if (recoveryCodes.length === 0) return;
+    const blob = new Blob([recoveryCodesText()], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "gigachat-recovery-codes.txt";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function handleCopyRecoveryCodes() {
+    if (recoveryCodes.length === 0) return;
+    navigator.clipboard
+      .writeText(recoveryCodesText())
+      .then(() => {
+        showToast("Recovery codes copied to clipboard!", "success");
+      })
+      .catch(() => {
+        showToast("Failed to copy.", "error");
+      });
+  }
+
+  // "JBSW Y3DP EHPK 3PXP" is easier to type from another screen
+  function formatTwoFactorSecret(secret = "") {
+    return secret.replace(/(.{4})(?=.)/g, "$1 ");
   }
 
   // ── Profile modal ───────────────────────────────────────────────────
@@ -793,7 +5537,9 @@
     if (bodyEl) {
       bodyEl.innerHTML = `
         <div class="profile-header">
-          <div class="profile-avatar-large">${initial}</div>
+          <div class="profile-avatar-large">${initial}${buildAvatarImg(
+            currentProfile.avatar_url,
+          )}</div>
           <div class="profile-details">
             <div class="profile-display-name">${escapeHtml(name)}</div>
             <div class="profile-username">@${escapeHtml(
@@ -838,13 +5584,190 @@
   // ── Logout ──────────────────────────────────────────────────────────
 
   async function handleLogout() {
+    sessionEnded = true;
+    announcePresence("offline");
+    GigaAPI.Realtime.closeAll();
     try {
       await GigaAPI.Auth.logout();
     } catch {
       // Ignore errors — we're logging out anyway
     }
+    await endSession("index.html");
+  }
+
+  // ── Session expiry ──────────────────────────────────────────────────
+  // js/api.js fires SESSION_EXPIRED_EVENT on the first 401 and holds the
+  // failed requests back. An expired session is renewed in place: the
+  // draft is saved, the user logs in again in a dialog and the requests
+  // are retried. A session signed out from another device isn't: its 401
+  // carries SESSION_REVOKED_CODE (the contract is described in js/api.js).
+
+  function handleSessionExpired(e) {
+    const err = e.detail.error;
+    if (sessionEnded) {
+      GigaAPI.settleSessionRenewal(false);
+      return;
+    }
+    if (err.data && err.data.code === GigaAPI.SESSION_REVOKED_CODE) {
+      GigaAPI.settleSessionRenewal(false);
+      handleSessionRevoked();
+      return;
+    }
+
+    saveDraft();
+    openReloginModal();
+  }
+
+  let reloginChallenge = null; // set once the password passed but 2FA is on
+
+  function openReloginModal() {
+    const usernameInput = document.getElementById("relogin-username");
+    const passwordInput = document.getElementById("relogin-password");
+    const msgEl = document.getElementById("relogin-message");
+
+    setReloginChallenge(null);
+
+    if (usernameInput) {
+      // Only the same account can pick the session back up
+      const username = currentProfile && currentProfile.username;
+      usernameInput.value = username || "";
+      usernameInput.readOnly = !!username;
+    }
+    if (passwordInput) passwordInput.value = "";
+    if (msgEl) msgEl.style.display = "none";
+
+    closeReactionPicker();
+    closeFriendMenu();
+    openModal(reloginModal);
+    passwordInput?.focus();
+  }
+
+  async function handleRelogin(e) {
+    e.preventDefault();
+
+    const username = document.getElementById("relogin-username").value.trim();
+    const password = document.getElementById("relogin-password").value;
+    const codeInput = document.getElementById("relogin-code");
+    const code = codeInput ? codeInput.value.replace(/\s+/g, "") : "";
+    const msgEl = document.getElementById("relogin-message");
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    if (!username || !password) {
+      showModalMessage(msgEl, "Please enter your password.", "error");
+      return;
+    }
+    if (reloginChallenge && !code) {
+      showModalMessage(msgEl, "Please enter the code.", "error");
+      codeInput?.focus();
+      return;
+    }
+
+    if (submitBtn) submitBtn.disabled = true;
+    let data;
+    try {
+      data = reloginChallenge
+        ? await GigaAPI.Auth.loginTwoFactor(reloginChallenge, code)
+        : await GigaAPI.Auth.login(username, password);
+    } catch (err) {
+      showModalMessage(msgEl, err.message, "error");
+      return;
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+
+    if (data.two_factor_required) {
+      setReloginChallenge(data.challenge_id);
+      showModalMessage(
+        msgEl,
+        "Enter the code from your authenticator app.",
+        "success",
+      );
+      codeInput?.focus();
+      return;
+    }
+
+    // Someone else's account would mix their data into ours
+    if (data.user_id !== currentUser.user_id) {
+      try {
+        await GigaAPI.Auth.logout();
+      } catch {
+        // Their session ends with the page either way
+      }
+      showModalMessage(
+        msgEl,
+        `Log in as @${currentUser.username} to continue, or log out.`,
+        "error",
+      );
+      return;
+    }
+
+    closeModal(reloginModal);
+    clearDraft();
+    GigaAPI.settleSessionRenewal(true);
+    // Sockets that were refused while logged out come back right away
+    subscriptions.forEach((_, conversationId) => {
+      GigaAPI.Realtime.reconnect(conversationId);
+    });
+    showToast("Welcome back!", "success");
+  }
+
+  // The password is kept but locked while the code is asked for
+  function setReloginChallenge(challengeId) {
+    reloginChallenge = challengeId;
+    const passwordInput = document.getElementById("relogin-password");
+    const codeGroup = document.getElementById("relogin-code-group");
+    const codeInput = document.getElementById("relogin-code");
+
+    if (passwordInput) passwordInput.readOnly = !!challengeId;
+    if (codeGroup) codeGroup.hidden = !challengeId;
+    if (codeInput) codeInput.value = "";
+  }
+
+  function handleReloginLogout() {
+    closeModal(reloginModal);
+    GigaAPI.settleSessionRenewal(false);
+    handleLogout();
+  }
+
+  // The composer text survives even if the user gives up and reloads
+  function saveDraft() {
+    const content = composerTextarea ? composerTextarea.value.trim() : "";
+    if (!content || !activeConversationId) return;
+    writeStorage(DRAFT_STORAGE_KEY, {
+      conversation_id: activeConversationId,
+      content,
+    });
+  }
+
+  function restoreDraft(conversationId) {
+    const draft = readStorage(DRAFT_STORAGE_KEY, null);
+    if (!draft || draft.conversation_id !== conversationId) return;
+    if (composerTextarea && !composerTextarea.value) {
+      composerTextarea.value = draft.content;
+      updateCharCount();
+      autoResizeTextarea();
+    }
+    clearDraft();
+  }
+
+  function clearDraft() {
+    localStorage.removeItem(DRAFT_STORAGE_KEY);
+  }
+
+  // The backend rejected our session for good: it was signed out from
+  // another device. Cached data goes too, in case the device was lost.
+  function handleSessionRevoked() {
+    if (sessionEnded) return;
+    sessionEnded = true;
+    GigaAPI.Realtime.closeAll();
+    endSession("index.html?signed_out=1");
+  }
+
+  // Forget the account on this device and go back to the login page
+  async function endSession(destination) {
     localStorage.removeItem("gigachat_user");
-    window.location.href = "index.html";
+    await GigaStore.clear();
+    window.location.href = destination;
   }
 
   // ── Modal helpers ───────────────────────────────────────────────────
@@ -907,6 +5830,26 @@
 
   // ── Utility functions ───────────────────────────────────────────────
 
+  // Avatar image for a user, if they have one
+  function getAvatarUrl(userId) {
+    if (userId === currentUser.user_id) {
+      return (currentProfile && currentProfile.avatar_url) || null;
+    }
+    const friend = friends.find((f) => f.friend_id === userId);
+    if (friend && friend.avatar_url) return friend.avatar_url;
+    return knownUsers.get(userId)?.avatar_url || null;
+  }
+
+  const brokenAvatars = new Set(); // image URLs that failed to load
+
+  // Laid over the initial, which shows through if the image fails (the
+  // failed <img> is removed, see bindEvents)
+  function buildAvatarImg(url) {
+    const src = GigaAPI.Attachments.resolveUrl(url);
+    if (!src || brokenAvatars.has(src)) return "";
+    return `<img class="avatar-img" src="${escapeHtml(src)}" alt="" />`;
+  }
+
   function getAvatarColor(id) {
     if (!id) return AVATAR_COLORS[0];
     // Simple hash from the id string to pick a color
@@ -918,11 +5861,46 @@
     return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
   }
 
+  function debounce(fn, wait) {
+    let timer = null;
+    return (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), wait);
+    };
+  }
+
+  function readStorage(key, fallback) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value ?? fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Storage full or unavailable – keep going with in-memory state
+    }
+  }
+
+  // Also escapes quotes, since the result often ends up in an attribute
   function escapeHtml(str) {
     if (!str) return "";
-    const div = document.createElement("div");
-    div.textContent = str;
-    return div.innerHTML;
+    return GigaFormat.escapeHtml(str);
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function formatFileSize(bytes) {
+    if (!bytes && bytes !== 0) return "";
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
   }
 
   function formatTime(isoString) {
@@ -962,6 +5940,25 @@
     }
   }
 
+  // Compact "how long ago" label for the sidebar: now, 5m, 3h, Yesterday, Mon, 12 Mar
+  function formatRelativeTime(isoString) {
+    if (!isoString) return "";
+    const date = new Date(isoString);
+    if (isNaN(date.getTime())) return "";
+
+    const seconds = Math.floor((Date.now() - date.getTime()) / 1000);
+    if (seconds < 60) return "now";
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (!isDifferentDay(date.toISOString(), new Date().toISOString())) {
+      return `${Math.floor(seconds / 3600)}h`;
+    }
+    if (formatDate(isoString) === "Yesterday") return "Yesterday";
+    if (seconds < 7 * 86400) {
+      return date.toLocaleDateString([], { weekday: "short" });
+    }
+    return date.toLocaleDateString([], { day: "numeric", month: "short" });
+  }
+
   function isDifferentDay(iso1, iso2) {
     if (!iso1 || !iso2) return false;
     try {
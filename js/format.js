@@ -0,0 +1,140 @@
+// =====================================================================
+// GigaChat – Message Formatting
+// Turns message text into safe HTML: **bold**, *italic* / _italic_,
+// `inline code`, ```fenced code blocks``` and auto-linked URLs.
+// =====================================================================
+
+// Everything the user typed is escaped before any markup is added, and the
+// only tags ever produced are the fixed ones below – there is no way to
+// pass HTML, attributes or non-http(s) links through a message.
+
+const FORMAT_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const FENCE_REGEX = /```([^\n`]*)\n?([\s\S]*?)```/g;
+const INLINE_CODE_REGEX = /`([^`\n]+)`/g;
+const URL_REGEX = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION_REGEX = /[.,;:!?'"*_]+$/;
+const CODE_LANG_REGEX = /^[\w+#.-]{1,20}$/;
+
+/** Escape text for use in element content or a quoted attribute. */
+function escapeFormatHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => FORMAT_ESCAPES[c]);
+}
+
+/**
+ * Format a message for display.
+ * @param {string} content - raw message text
+ * @returns {string} HTML that is safe to assign to innerHTML
+ */
+function formatMessage(content) {
+  if (!content) return "";
+
+  let html = "";
+  let last = 0;
+
+  for (const match of content.matchAll(FENCE_REGEX)) {
+    html += formatInline(content.slice(last, match.index));
+    html += formatCodeBlock(match[1].trim(), match[2]);
+    last = match.index + match[0].length;
+  }
+
+  return html + formatInline(content.slice(last));
+}
+
+// A fenced block: monospaced, with the language (if any) and a copy button
+function formatCodeBlock(lang, code) {
+  const label = CODE_LANG_REGEX.test(lang) ? escapeFormatHtml(lang) : "code";
+  const body = code.replace(/\n$/, "");
+
+  return (
+    '<div class="code-block">' +
+    '<div class="code-block-header">' +
+    `<span class="code-block-lang">${label}</span>` +
+    '<button type="button" class="code-copy">Copy</button>' +
+    "</div>" +
+    `<pre><code>${escapeFormatHtml(body)}</code></pre>` +
+    "</div>"
+  );
+}
+
+// Text outside code blocks: inline code first, since nothing inside it
+// should be formatted
+function formatInline(text) {
+  let html = "";
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_CODE_REGEX)) {
+    html += formatLinks(text.slice(last, match.index));
+    html += `<code class="inline-code">${escapeFormatHtml(match[1])}</code>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + formatLinks(text.slice(last));
+}
+
+// URLs become links; emphasis is applied to the text between them so a
+// "_" or "*" inside a URL can't break it up
+function formatLinks(text) {
+  let html = "";
+  let last = 0;
+
+  for (const match of text.matchAll(URL_REGEX)) {
+    const url = trimUrl(match[0]);
+    const href = toSafeHref(url);
+    if (!href) continue;
+
+    html += formatEmphasis(text.slice(last, match.index));
+    html +=
+      `<a href="${escapeFormatHtml(href)}" target="_blank" ` +
+      `rel="noopener noreferrer">${escapeFormatHtml(url)}</a>`;
+    last = match.index + url.length;
+  }
+
+  return html + formatEmphasis(text.slice(last));
+}
+
+// Leave sentence punctuation (and unmatched closing parens) out of a URL
+function trimUrl(url) {
+  let trimmed = url.replace(TRAILING_PUNCTUATION_REGEX, "");
+  while (trimmed.endsWith(")")) {
+    const opens = (trimmed.match(/\(/g) || []).length;
+    const closes = (trimmed.match(/\)/g) || []).length;
+    if (closes <= opens) break;
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION_REGEX, "");
+  }
+  return trimmed;
+}
+
+// Only well-formed http(s) URLs are ever put into an href
+function toSafeHref(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return null;
+    }
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+// Runs on already-escaped text, so the tags added here are the only markup
+function formatEmphasis(text) {
+  return escapeFormatHtml(text)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+// ── Export as a single namespace ────────────────────────────────────────
+
+window.GigaFormat = {
+  formatMessage,
+  escapeHtml: escapeFormatHtml,
+};
@@ -0,0 +1,513 @@
+// =====================================================================
+// GigaChat – Password Strength
+// A small zxcvbn-style estimator behind the strength meter and the
+// password policy, shared by the register form (js/auth.js) and the
+// change-password form in Settings (js/chat.js).
+// =====================================================================
+
+// The password is split into the patterns people actually use – common
+// passwords (also reversed or in l33t speak), the username, sequences,
+// repeats, keyboard rows, years – and whatever is left is brute force.
+// The cheapest split gives the number of guesses an attacker needs,
+// which maps to a 0-4 score. Everything runs locally: the password never
+// leaves the page. The backend still has the final say.
+
+const MIN_PASSWORD_LENGTH = 8;
+// Also as much as the estimator looks at: matching gets slow on long
+// inputs, and it runs on every keystroke
+const MAX_PASSWORD_LENGTH = 100;
+const DEFAULT_MIN_PASSWORD_SCORE = 2; // MIN_PASSWORD_SCORE in the app config
+const SCORE_LABELS = ["Very weak", "Weak", "Fair", "Good", "Strong"];
+// Fewer guesses than SCORE_THRESHOLDS[n] scores n; more than all of them, 4
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+const BRUTEFORCE_CARDINALITY = 10; // guesses per char no pattern explains
+const MIN_SUBMATCH_GUESSES = 50; // a pattern inside a longer password
+const MIN_YEAR_SPACE = 20; // years close to now are all about as likely
+const REFERENCE_YEAR = new Date().getFullYear();
+
+const KEYBOARD_ROWS = [
+  "`1234567890-=",
+  "qwertyuiop[]\\",
+  "asdfghjkl;'",
+  "zxcvbnm,./",
+  "1qaz2wsx3edc4rfv5tgb6yhn7ujm8ik,9ol.0p;/", // columns, top to bottom
+];
+const KEYBOARD_KEYS = 47; // starting points for a keyboard walk
+const MIN_KEYBOARD_RUN = 4; // "qwe" is just as likely a word fragment
+
+// Look-alike characters, read back as letters before the dictionary check
+const LEET_SUBSTITUTIONS = {
+  4: "a",
+  "@": "a",
+  8: "b",
+  "(": "c",
+  3: "e",
+  6: "g",
+  1: "i",
+  "!": "i",
+  "|": "l",
+  0: "o",
+  $: "s",
+  5: "s",
+  7: "t",
+  "+": "t",
+  2: "z",
+};
+
+// Most common passwords from public breach corpora, most common first.
+// The position is the rank: how many guesses it takes to get there.
+const COMMON_PASSWORDS = `
+123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon
+123123 baseball abc123 football monkey letmein 696969 shadow master 666666
+qwertyuiop 123321 mustang 1234567890 michael 654321 superman 1qaz2wsx
+7777777 121212 000000 qazwsx 123qwe killer trustno1 jordan jennifer zxcvbnm
+asdfgh hunter buster soccer harley batman andrew tigger sunshine iloveyou
+2000 charlie robert thomas hockey ranger daniel starwars klaster 112233
+george computer michelle jessica pepper 1111 zxcvbn 555555 11111111 131313
+freedom 777777 pass maggie 159753 aaaaaa ginger princess joshua cheese
+amanda summer love ashley nicole chelsea biteme matthew access yankees
+987654321 dallas austin thunder taylor matrix minecraft william corvette
+hello martin heather secret merlin diamond 1234qwer gfhjkm hammer silver
+222222 88888888 anthony justin test bailey q1w2e3r4t5 patrick internet
+scooter orange 11111 golfer cookie richard samantha bigdog guitar jackson
+whatever mickey chicken sparky snoopy maverick phoenix camaro peanut morgan
+welcome falcon cowboy ferrari samsung andrea smokey steelers joseph
+mercedes dakota arsenal eagles melissa boomer booboo spider nascar monster
+tigers yellow xxxxxx 123123123 gateway marina diablo bulldog qwer1234
+compaq purple banana junior hannah 123654 porsche lakers iceman
+money cowboys 987654 london tennis 999999 ncc1701 coffee scooby 0000
+miller boston q1w2e3r4 brandon yamaha chester mother forever johnny edward
+333333 oliver redsox player nikita knight fender barney midnight please
+brandy chicago badboy slayer rangers charles angel flower bigdaddy rabbit
+wizard jasper enter rachel chris steven winner adidas victoria
+natasha 1q2w3e4r jasmine winter prince marine ghbdtn fishing cocacola
+casper james 232323 raiders 888888 marlboro gandalf asdfasdf crystal 87654321
+12344321 golf 8675309 qwerty123 admin welcome1 password1 password123 passw0rd
+abc12345 iloveyou1 football1 monkey1 sunshine1 princess1 letmein1 qwerty1
+trustno1 superman1 baseball1 dragon1 shadow1 master1 ashley1 michael1
+123abc zaq12wsx 1qazxsw2 asdf1234 asd123 qweasd qweasdzxc azerty 1q2w3e
+changeme default guest login root toor pass123 test123 hello123 love123
+lovely loveme babygirl pokemon naruto blink182 liverpool chocolate
+butterfly friends family computer1 samsung1 google facebook linkedin
+myspace1 gigachat chatting
+`
+  .trim()
+  .split(/\s+/);
+
+const COMMON_PASSWORD_RANKS = new Map();
+COMMON_PASSWORDS.forEach((word, index) => {
+  if (!COMMON_PASSWORD_RANKS.has(word)) {
+    COMMON_PASSWORD_RANKS.set(word, index + 1);
+  }
+});
+
+// ── Pattern matchers ────────────────────────────────────────────────────
+// Each returns matches as { pattern, i, j, token, guesses, ... } where
+// i..j are the (inclusive) character positions in the password.
+
+function dictionaryMatches(password, ranks, pattern) {
+  const lower = password.toLowerCase();
+  const reversed = [...lower].reverse().join("");
+  const leet = unleet(lower);
+  const matches = [];
+
+  const scan = (text, flavour) => {
+    for (let i = 0; i < text.length; i++) {
+      for (let j = i + 2; j < text.length; j++) {
+        const rank = ranks.get(text.slice(i, j + 1));
+        if (!rank) continue;
+        // Reversed matches are scanned on the reversed string
+        const start = flavour === "reversed" ? text.length - 1 - j : i;
+        const end = flavour === "reversed" ? text.length - 1 - i : j;
+        const token = password.slice(start, end + 1);
+        // Only count l33t matches that actually substituted something
+        const word = text.slice(i, j + 1);
+        if (flavour === "leet" && token.toLowerCase() === word) continue;
+
+        let guesses = rank * uppercaseVariations(token);
+        if (flavour === "reversed") guesses *= 2;
+        if (flavour === "leet") guesses *= leetVariations(token);
+        matches.push({ pattern, i: start, j: end, token, guesses, flavour });
+      }
+    }
+  };
+
+  scan(lower, "plain");
+  scan(reversed, "reversed");
+  if (leet !== lower) scan(leet, "leet");
+  return matches;
+}
+
+// "abc", "6543", "wxyz": a run with a constant step of one
+function sequenceMatches(password) {
+  const matches = [];
+  let i = 0;
+
+  while (i < password.length - 2) {
+    const step = password.charCodeAt(i + 1) - password.charCodeAt(i);
+    let j = i + 1;
+    if (Math.abs(step) === 1) {
+      while (
+        j + 1 < password.length &&
+        password.charCodeAt(j + 1) - password.charCodeAt(j) === step &&
+        sameCharClass(password[j], password[j + 1])
+      ) {
+        j++;
+      }
+    }
+
+    if (j - i >= 2 && sameCharClass(password[i], password[i + 1])) {
+      const token = password.slice(i, j + 1);
+      let base;
+      if (/^[aAzZ019]/.test(token)) base = 4; // obvious starting points
+      else if (/^\d/.test(token)) base = 10;
+      else base = 26;
+      const guesses = base * token.length * (step < 0 ? 2 : 1);
+      matches.push({ pattern: "sequence", i, j, token, guesses });
+      i = j + 1;
+    } else {
+      i++;
+    }
+  }
+  return matches;
+}
+
+// "aaaa", "abcabc": a base repeated back to back
+function repeatMatches(password) {
+  const matches = [];
+  const regex = /(.+?)\1+/g;
+  let match;
+
+  while ((match = regex.exec(password)) !== null) {
+    const [token, base] = match;
+    const baseGuesses = estimateGuesses(base).guesses;
+    matches.push({
+      pattern: "repeat",
+      i: match.index,
+      j: match.index + token.length - 1,
+      token,
+      base,
+      guesses: baseGuesses * (token.length / base.length),
+    });
+  }
+  return matches;
+}
+
+// "qwerty", "asdf", "1qaz2wsx" – straight runs along a keyboard row
+function keyboardMatches(password) {
+  const lower = password.toLowerCase();
+  const rows = KEYBOARD_ROWS.flatMap((row) => [
+    row,
+    [...row].reverse().join(""),
+  ]);
+  const matches = [];
+
+  rows.forEach((row) => {
+    let i = 0;
+    while (i < lower.length) {
+      let j = i;
+      let pos = row.indexOf(lower[i]);
+      while (
+        pos !== -1 &&
+        j + 1 < lower.length &&
+        row[pos + 1] === lower[j + 1]
+      ) {
+        j++;
+        pos++;
+      }
+
+      if (j - i + 1 >= MIN_KEYBOARD_RUN) {
+        const token = password.slice(i, j + 1);
+        const guesses =
+          KEYBOARD_KEYS * token.length * 2 * uppercaseVariations(token);
+        matches.push({ pattern: "keyboard", i, j, token, guesses });
+        i = j + 1;
+      } else {
+        i++;
+      }
+    }
+  });
+  return matches;
+}
+
+function yearMatches(password) {
+  const matches = [];
+  const regex = /(?:19|20)\d\d/g;
+  let match;
+
+  while ((match = regex.exec(password)) !== null) {
+    const year = Number(match[0]);
+    matches.push({
+      pattern: "year",
+      i: match.index,
+      j: match.index + 3,
+      token: match[0],
+      guesses: Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE),
+    });
+  }
+  return matches;
+}
+
+// ── Guess estimation ────────────────────────────────────────────────────
+
+/**
+ * Split `password` into the cheapest sequence of matches, with any gap
+ * guessed character by character, and return the total guess count.
+ * @param {string} password
+ * @param {Map<string, number>} [userRanks] - user inputs, as dictionary
+ * @returns {{guesses: number, sequence: Array}}
+ */
+function estimateGuesses(password, userRanks = new Map()) {
+  const matches = [
+    ...dictionaryMatches(password, COMMON_PASSWORD_RANKS, "dictionary"),
+    ...dictionaryMatches(password, userRanks, "user_input"),
+    ...sequenceMatches(password),
+    ...repeatMatches(password),
+    ...keyboardMatches(password),
+    ...yearMatches(password),
+  ];
+
+  const matchesEndingAt = password.split("").map(() => []);
+  matches.forEach((m) => matchesEndingAt[m.j].push(m));
+
+  // best[k]: fewest guesses for the first k characters, and how
+  const best = [{ guesses: 1, match: null, from: 0 }];
+  for (let k = 1; k <= password.length; k++) {
+    best[k] = {
+      guesses: best[k - 1].guesses * BRUTEFORCE_CARDINALITY,
+      match: null,
+      from: k - 1,
+    };
+    matchesEndingAt[k - 1].forEach((m) => {
+      const whole = m.i === 0 && k === password.length;
+      const own = whole
+        ? m.guesses
+        : Math.max(m.guesses, MIN_SUBMATCH_GUESSES);
+      const guesses = best[m.i].guesses * own;
+      if (guesses < best[k].guesses) {
+        best[k] = { guesses, match: m, from: m.i };
+      }
+    });
+  }
+
+  const sequence = [];
+  for (let k = password.length; k > 0; k = best[k].from) {
+    if (best[k].match) sequence.unshift(best[k].match);
+  }
+  return { guesses: best[password.length].guesses, sequence };
+}
+
+/**
+ * Estimate how hard a password is to guess.
+ * @param {string} password
+ * @param {string[]} [userInputs] - e.g. the username and display name
+ * @returns {{score: number, guesses: number, warning: string}}
+ *   score is 0 (trivial) to 4 (strong); warning may be ""
+ */
+function estimatePasswordStrength(password, userInputs = []) {
+  const userRanks = new Map();
+  userInputs
+    .flatMap((input) => String(input || "").toLowerCase().split(/\s+/))
+    .filter((word) => word.length >= 3)
+    .forEach((word, index) => {
+      if (!userRanks.has(word)) userRanks.set(word, index + 1);
+    });
+
+  // Anything longer fails the policy anyway, and guessing the rest as
+  // brute force would rate 5000 "a"s as strong
+  const analyzed = password.slice(0, MAX_PASSWORD_LENGTH);
+  const { guesses, sequence } = estimateGuesses(analyzed, userRanks);
+  let score = SCORE_THRESHOLDS.findIndex((limit) => guesses < limit);
+  if (score === -1) score = SCORE_THRESHOLDS.length;
+
+  return {
+    score,
+    guesses,
+    warning: describeWeakness(analyzed, sequence, score),
+  };
+}
+
+// One warning about the most telling pattern, like zxcvbn's feedback.
+// Strong passwords only get told about the username.
+function describeWeakness(password, sequence, score) {
+  if (sequence.some((m) => m.pattern === "user_input")) {
+    return "Avoid using your username or name in the password.";
+  }
+  if (score > 2) return "";
+
+  const longest = sequence.reduce(
+    (a, b) => (b.token.length > a.token.length ? b : a),
+    sequence[0],
+  );
+  if (!longest) return "";
+  const whole = longest.token.length === password.length;
+
+  switch (longest.pattern) {
+    case "dictionary":
+      if (!whole) return "This contains a commonly used password.";
+      return longest.flavour === "plain"
+        ? "This is a very common password."
+        : "This is similar to a commonly used password.";
+    case "sequence":
+      return 'Sequences like "abc" or "6543" are easy to guess.';
+    case "repeat":
+      return longest.base.length === 1
+        ? 'Repeats like "aaa" are easy to guess.'
+        : 'Repeats like "abcabc" are only slightly harder to guess than "abc".';
+    case "keyboard":
+      return "Straight rows of keys are easy to guess.";
+    case "year":
+      return "Years are easy to guess.";
+    default:
+      return "";
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+function unleet(text) {
+  return [...text].map((ch) => LEET_SUBSTITUTIONS[ch] || ch).join("");
+}
+
+function sameCharClass(a, b) {
+  const charClass = (ch) => {
+    if (/\d/.test(ch)) return "digit";
+    if (/[a-z]/.test(ch)) return "lower";
+    if (/[A-Z]/.test(ch)) return "upper";
+    return "other";
+  };
+  return charClass(a) === charClass(b) && charClass(a) !== "other";
+}
+
+// "Password" and "PASSWORD" are the first things tried after "password"
+function uppercaseVariations(token) {
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  if (upper === 0) return 1;
+  // All caps, or just the first or last letter
+  if (lower === 0 || /^[A-Z][^A-Z]+$|^[^A-Z]+[A-Z]$/.test(token)) return 2;
+
+  let variations = 0;
+  for (let k = 1; k <= Math.min(upper, lower); k++) {
+    variations += binomial(upper + lower, k);
+  }
+  return variations;
+}
+
+// Each kind of substitution used doubles the guesses
+function leetVariations(token) {
+  const used = new Set([...token].filter((ch) => LEET_SUBSTITUTIONS[ch]));
+  return 2 ** used.size;
+}
+
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+}
+
+// ── Policy and meter ────────────────────────────────────────────────────
+
+/**
+ * Lowest score a new password may have. Set MIN_PASSWORD_SCORE (0-4) in
+ * the app config (see api/config.js) to change it.
+ * @returns {number}
+ */
+function minimumPasswordScore() {
+  const config = (window.GigaAPI && window.GigaAPI.config) || {};
+  const value = parseInt(config.MIN_PASSWORD_SCORE, 10);
+  if (Number.isNaN(value)) return DEFAULT_MIN_PASSWORD_SCORE;
+  return Math.min(Math.max(value, 0), SCORE_LABELS.length - 1);
+}
+
+/**
+ * Rate a password for display.
+ * @param {string} password
+ * @param {string[]} [userInputs] - e.g. the username and display name
+ * @returns {{score: number, level: "weak"|"medium"|"strong", label: string, warning: string}|null}
+ *   null for an empty password
+ */
+function scorePassword(password, userInputs = []) {
+  if (!password) return null;
+
+  const { score, warning } = estimatePasswordStrength(password, userInputs);
+  let level;
+  if (score <= 1) level = "weak";
+  else if (score === 2) level = "medium";
+  else level = "strong";
+
+  return { score, level, label: SCORE_LABELS[score], warning };
+}
+
+/**
+ * Why a new password isn't accepted, or null if it is.
+ * @param {string} password
+ * @param {string[]} [userInputs] - e.g. the username and display name
+ * @returns {string|null}
+ */
+function passwordProblem(password, userInputs = []) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} characters.`;
+  }
+
+  const { score, warning } = estimatePasswordStrength(password, userInputs);
+  if (score >= minimumPasswordScore()) return null;
+  return `This password is too easy to guess. ${
+    warning || "Add another word or two – uncommon words are better."
+  }`;
+}
+
+/**
+ * Fill the meter inside `container` for `password`.
+ * Expects the markup used on the register form:
+ * `.password-strength > .bar` ×3 followed by `.password-strength-label`.
+ * @param {string} password
+ * @param {HTMLElement} container - usually the field's `.input-group`
+ * @param {string[]} [userInputs] - e.g. the username and display name
+ */
+function updatePasswordStrength(password, container, userInputs = []) {
+  if (!container) return;
+  const bars = container.querySelectorAll(".password-strength .bar");
+  const label = container.querySelector(".password-strength-label");
+
+  // Reset all bars
+  bars.forEach((bar) => {
+    bar.className = "bar";
+  });
+
+  if (!label) return;
+
+  const strength = scorePassword(password, userInputs);
+  if (!strength) {
+    label.textContent = "";
+    return;
+  }
+
+  // Fill bars based on level
+  const fillCount =
+    strength.level === "weak" ? 1 : strength.level === "medium" ? 2 : 3;
+  for (let i = 0; i < fillCount && i < bars.length; i++) {
+    bars[i].classList.add(strength.level);
+  }
+
+  label.textContent = strength.warning
+    ? `${strength.label} – ${strength.warning}`
+    : strength.label;
+}
+
+// ── Export as a single namespace ────────────────────────────────────────
+
+window.GigaPassword = {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  estimatePasswordStrength,
+  minimumPasswordScore,
+  passwordProblem,
+  scorePassword,
+  updatePasswordStrength,
+};
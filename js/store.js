@@ -0,0 +1,207 @@
+// =====================================================================
+// GigaChat – Offline Store
+// Keeps friends, profiles, groups and recent messages in IndexedDB so
+// the chat page can render instantly and still show history offline.
+// =====================================================================
+
+// Everything is scoped to the signed-in user (see Store.use), so two
+// accounts on the same browser never see each other's cache. Every call
+// fails soft: if IndexedDB is unavailable or a write fails, reads resolve
+// to null / [] and the app just falls back to the network.
+
+const STORE_DB_NAME = "gigachat";
+const STORE_DB_VERSION = 1;
+const STORE_KV = "kv"; // "<user>:<key>" -> any JSON value
+const STORE_MESSAGES = "messages"; // "<user>:<conversation id>" -> [message]
+const CACHED_MESSAGES_PER_CONVERSATION = 200; // newest kept per conversation
+
+let storeOwner = null;
+let storeDbPromise = null;
+
+function openStoreDatabase() {
+  if (!storeDbPromise) {
+    storeDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(STORE_DB_NAME, STORE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_KV)) {
+          db.createObjectStore(STORE_KV);
+        }
+        if (!db.objectStoreNames.contains(STORE_MESSAGES)) {
+          db.createObjectStore(STORE_MESSAGES);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    storeDbPromise.catch((err) => {
+      console.warn("[store] Offline cache disabled:", err.message);
+    });
+  }
+  return storeDbPromise;
+}
+
+/**
+ * Run `work(objectStore)` in a transaction and resolve with whatever it
+ * returns once the transaction has committed.
+ */
+async function withObjectStore(name, mode, work) {
+  const db = await openStoreDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    Promise.resolve(work(tx.objectStore(name))).then((value) => {
+      result = value;
+    });
+  });
+}
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function scopedKey(key) {
+  return `${storeOwner}:${key}`;
+}
+
+// Oldest first, like the history endpoint
+function compareCreatedAt(a, b) {
+  return new Date(a.created_at) - new Date(b.created_at);
+}
+
+const Store = {
+  /**
+   * Scope all following reads and writes to a user.
+   * Until this is called every read resolves empty and writes are dropped.
+   * @param {string} userId
+   */
+  use(userId) {
+    storeOwner = userId || null;
+  },
+
+  /**
+   * Read a cached value.
+   * @param {string} key - e.g. "friends", "profile", "groups"
+   * @returns {Promise<any|null>}
+   */
+  async get(key) {
+    if (!storeOwner) return null;
+    try {
+      const value = await withObjectStore(STORE_KV, "readonly", (store) =>
+        requestResult(store.get(scopedKey(key))),
+      );
+      return value ?? null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Cache a value (must be structured-cloneable).
+   * @param {string} key
+   * @param {any} value
+   */
+  async set(key, value) {
+    if (!storeOwner) return;
+    try {
+      await withObjectStore(STORE_KV, "readwrite", (store) => {
+        store.put(value, scopedKey(key));
+      });
+    } catch {
+      // The cache is best-effort
+    }
+  },
+
+  /**
+   * Cached messages of a conversation, oldest first.
+   * @param {string} conversationId
+   * @returns {Promise<Array>}
+   */
+  async getMessages(conversationId) {
+    if (!storeOwner) return [];
+    try {
+      const list = await withObjectStore(STORE_MESSAGES, "readonly", (store) =>
+        requestResult(store.get(scopedKey(conversationId))),
+      );
+      return list || [];
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Merge messages into a conversation's cache. Messages are matched by
+   * id, so saving an edited or deleted message replaces the old copy.
+   * Only the newest CACHED_MESSAGES_PER_CONVERSATION are kept.
+   * @param {string} conversationId
+   * @param {Array} list
+   */
+  async saveMessages(conversationId, list) {
+    if (!storeOwner) return;
+    const incoming = list.filter((m) => m && m.id);
+    if (incoming.length === 0) return;
+
+    try {
+      await withObjectStore(STORE_MESSAGES, "readwrite", async (store) => {
+        const key = scopedKey(conversationId);
+        const byId = new Map();
+        const existing = (await requestResult(store.get(key))) || [];
+        existing.forEach((m) => byId.set(m.id, m));
+        incoming.forEach((m) => byId.set(m.id, m));
+
+        const merged = [...byId.values()].sort(compareCreatedAt);
+        store.put(merged.slice(-CACHED_MESSAGES_PER_CONVERSATION), key);
+      });
+    } catch {
+      // The cache is best-effort
+    }
+  },
+
+  /**
+   * Conversation ids that have cached messages for the current user.
+   * @returns {Promise<string[]>}
+   */
+  async listConversations() {
+    if (!storeOwner) return [];
+    const prefix = scopedKey("");
+    try {
+      const keys = await withObjectStore(STORE_MESSAGES, "readonly", (store) =>
+        requestResult(store.getAllKeys()),
+      );
+      return keys
+        .filter((key) => key.startsWith(prefix))
+        .map((key) => key.slice(prefix.length));
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Drop everything cached on this browser (on logout).
+   */
+  async clear() {
+    storeOwner = null;
+    try {
+      await withObjectStore(STORE_KV, "readwrite", (store) => store.clear());
+      await withObjectStore(STORE_MESSAGES, "readwrite", (store) =>
+        store.clear(),
+      );
+    } catch {
+      // Nothing to clear
+    }
+  },
+};
+
+// ── Export as a single namespace ────────────────────────────────────────
+
+window.GigaStore = Store;
@@ -0,0 +1,85 @@
+// =====================================================================
+// GigaChat – Service Worker
+// Precaches the app shell so chat.html (and the login page) load without
+// a network connection. API traffic is never touched.
+// =====================================================================
+
+// Bump when the shell file list changes; old caches are removed on activate
+const SHELL_CACHE = "gigachat-shell-v2";
+
+const SHELL_FILES = [
+  "index.html",
+  "chat.html",
+  "css/variables.css",
+  "css/auth.css",
+  "css/chat.css",
+  "js/api.js",
+  "js/format.js",
+  "js/store.js",
+  "js/password.js",
+  "js/auth.js",
+  "js/chat.js",
+];
+
+// Fetched network-first like the shell, but not required at install time
+// (it only exists on Vercel)
+const RUNTIME_FILES = ["api/config"];
+
+const SCOPE_PATH = new URL(self.registration.scope).pathname;
+const CACHED_PATHS = new Set(
+  SHELL_FILES.concat(RUNTIME_FILES).map((file) => SCOPE_PATH + file),
+);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // The site root serves the login page
+  const path =
+    url.pathname === SCOPE_PATH ? SCOPE_PATH + "index.html" : url.pathname;
+  if (!CACHED_PATHS.has(path)) return;
+
+  event.respondWith(networkFirst(request, path));
+});
+
+// Always prefer a fresh copy, so deploys show up on the next load; the
+// cache only answers when the network can't
+async function networkFirst(request, path) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(path, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(path, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
@@ -0,0 +1,115 @@
+// Injection payloads for js/format.js. The formatter only touches
+// `window` to export itself, so it runs in Node as is.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+globalThis.window = {};
+require("../js/format.js");
+const { formatMessage } = window.GigaFormat;
+
+// The only markup formatMessage may produce
+const ALLOWED_TAGS = [
+  "a",
+  "button",
+  "code",
+  "div",
+  "em",
+  "pre",
+  "span",
+  "strong",
+];
+const ALLOWED_ATTRIBUTES = ["class", "href", "rel", "target", "type"];
+
+function assertSafe(html) {
+  const tags = html.match(/<[^>]*>?/g) || [];
+  for (const tag of tags) {
+    const parsed = /^<\/?([a-z]+)((?:\s+[a-z-]+="[^"<>]*")*)\s*>$/.exec(tag);
+    assert.ok(parsed, `malformed tag ${tag} in ${html}`);
+    assert.ok(ALLOWED_TAGS.includes(parsed[1]), `tag ${tag} in ${html}`);
+
+    for (const [, name, value] of parsed[2].matchAll(/([a-z-]+)="([^"]*)"/g)) {
+      assert.ok(
+        ALLOWED_ATTRIBUTES.includes(name),
+        `attribute ${name} in ${html}`,
+      );
+      if (name === "href") {
+        assert.match(value, /^https?:\/\//, `href ${value} in ${html}`);
+      }
+    }
+  }
+}
+
+const PAYLOADS = [
+  "<script>alert(1)</script>",
+  '<img src=x onerror="alert(1)">',
+  "<svg/onload=alert(1)>",
+  "<a href=\"javascript:alert(1)\">x</a>",
+  '**<b onmouseover="alert(1)">bold</b>**',
+  "https://example.com/\"onmouseover=\"alert(1)",
+  "https://example.com/'onmouseover='alert(1)",
+  "https://example.com/<script>alert(1)</script>",
+  "https://example.com/?q=\"><img src=x onerror=alert(1)>",
+  '```js" onmouseover="alert(1)\ncode\n```',
+  "```<img src=x onerror=alert(1)>\ncode\n```",
+  "```\n</code></pre><script>alert(1)</script>\n```",
+  "`<script>alert(1)</script>`",
+  "javascript:alert(1)",
+  "JaVaScRiPt:alert(1)",
+  "[x](javascript:alert(1))",
+  "[x](https://example.com\" onclick=\"alert(1))",
+  "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+  "_<i>x</i>_ *<u>y</u>* **\"quoted\"**",
+];
+
+for (const payload of PAYLOADS) {
+  test(`safe: ${JSON.stringify(payload)}`, () => {
+    assertSafe(formatMessage(payload));
+  });
+}
+
+test("the checker itself rejects unsafe markup", () => {
+  assert.throws(() => assertSafe('<img src=x onerror="alert(1)">'));
+  assert.throws(() => assertSafe('<a href="javascript:alert(1)">x</a>'));
+  assert.throws(() => assertSafe('<a href="x" onclick="alert(1)">x</a>'));
+});
+
+test("raw tags are escaped, not dropped", () => {
+  assert.equal(
+    formatMessage("<script>alert(1)</script>"),
+    "&lt;script&gt;alert(1)&lt;/script&gt;",
+  );
+});
+
+test("quotes cannot leave a link's href", () => {
+  const html = formatMessage('https://example.com/"onmouseover="alert(1)');
+  assert.equal(
+    html,
+    '<a href="https://example.com/" target="_blank" ' +
+      'rel="noopener noreferrer">https://example.com/</a>' +
+      "&quot;onmouseover=&quot;alert(1)",
+  );
+});
+
+test("a fence language that isn't a plain word becomes \"code\"", () => {
+  const html = formatMessage('```js" onmouseover="alert(1)\nx\n```');
+  assert.match(html, /<span class="code-block-lang">code<\/span>/);
+});
+
+test("javascript: URLs are never linked", () => {
+  for (const payload of ["javascript:alert(1)", "[x](javascript:alert(1))"]) {
+    assert.doesNotMatch(formatMessage(payload), /<a /);
+  }
+});
+
+test("ordinary formatting still works", () => {
+  assert.equal(
+    formatMessage("**bold** and _it_ and `code`"),
+    "<strong>bold</strong> and <em>it</em> and " +
+      '<code class="inline-code">code</code>',
+  );
+  assert.match(
+    formatMessage("see https://example.com/a_b."),
+    /^see <a href="https:\/\/example.com\/a_b" [^>]*>[^<]*<\/a>\.$/,
+  );
+});
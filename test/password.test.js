@@ -0,0 +1,38 @@
+// js/password.js – the strength estimator behind the password policy.
+// Like the formatter it only touches `window` to export itself.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+globalThis.window = {};
+require("../js/password.js");
+const { estimatePasswordStrength, passwordProblem } = window.GigaPassword;
+
+test("common passwords and their variants score 0", () => {
+  for (const password of ["password", "Password1", "p@ssw0rd", "drowssap"]) {
+    assert.equal(estimatePasswordStrength(password).score, 0, password);
+  }
+});
+
+test("patterns are named in the warning", () => {
+  assert.match(estimatePasswordStrength("abcdefgh").warning, /Sequences/);
+  assert.match(estimatePasswordStrength("aaaaaaaa").warning, /Repeats/);
+  assert.match(estimatePasswordStrength("zxcvbnm,./").warning, /rows of keys/);
+  assert.match(
+    estimatePasswordStrength("alice1990", ["alice"]).warning,
+    /username/,
+  );
+});
+
+test("the policy rejects weak passwords and accepts strong ones", () => {
+  assert.match(passwordProblem("short"), /at least 8 characters/);
+  assert.match(passwordProblem("qwerty123"), /too easy to guess/);
+  assert.equal(passwordProblem("Tr0ub4dor&3"), null);
+});
+
+test("long input is capped, not scored as brute force", () => {
+  const capped = estimatePasswordStrength("a".repeat(5000));
+  assert.deepEqual(capped, estimatePasswordStrength("a".repeat(100)));
+  assert.ok(capped.score <= 1, `scored ${capped.score}`);
+  assert.match(passwordProblem("a".repeat(101)), /at most 100 characters/);
+});